@@ -0,0 +1,101 @@
+// Compare recall and latency of the HNSW vector index against exact search
+// Usage: node benchmark-vector-index.js [--vectors 5000] [--dimensions 384] [--queries 100] [--topK 10]
+
+// Always build the graph, whatever the size of the benchmark corpus
+process.env.RAG_ANN_MIN_CHUNKS = '0';
+process.env.RAG_VECTOR_SEARCH = 'hnsw';
+
+const { normalizeVector } = require('./utils/textUtils');
+const {
+    rebuildVectorIndex,
+    searchVectorIndex,
+    waitForVectorIndex,
+    getVectorIndexStats
+} = require('./services/vectorIndex');
+
+function readOption(name, fallback) {
+    const index = process.argv.indexOf(`--${name}`);
+    return index !== -1 ? parseInt(process.argv[index + 1]) || fallback : fallback;
+}
+
+const vectorCount = readOption('vectors', 5000);
+const dimensions = readOption('dimensions', 384);
+const queryCount = readOption('queries', 100);
+const topK = readOption('topK', 10);
+
+// Gaussian noise via Box-Muller
+function randomNormal() {
+    return Math.sqrt(-2 * Math.log(1 - Math.random())) * Math.cos(2 * Math.PI * Math.random());
+}
+
+// Real embeddings cluster by topic, so sample around a set of random centroids
+function createClusteredVectors(count, clusterCount) {
+    const centroids = Array.from({ length: clusterCount }, () =>
+        Array.from({ length: dimensions }, randomNormal)
+    );
+    
+    return Array.from({ length: count }, () => {
+        const centroid = centroids[Math.floor(Math.random() * clusterCount)];
+        return normalizeVector(centroid.map(value => value + randomNormal() * 0.6));
+    });
+}
+
+function percentile(values, p) {
+    const sorted = [...values].sort((a, b) => a - b);
+    return sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * p))];
+}
+
+function timeQueries(queries, options) {
+    const latencies = [];
+    const results = queries.map(query => {
+        const start = process.hrtime.bigint();
+        const found = searchVectorIndex(query, options);
+        latencies.push(Number(process.hrtime.bigint() - start) / 1e6);
+        return found;
+    });
+    return { results, latencies };
+}
+
+function formatLatency(latencies) {
+    const mean = latencies.reduce((sum, value) => sum + value, 0) / latencies.length;
+    return `mean ${mean.toFixed(3)}ms, p50 ${percentile(latencies, 0.5).toFixed(3)}ms, p95 ${percentile(latencies, 0.95).toFixed(3)}ms`;
+}
+
+async function runBenchmark() {
+    console.log(`📊 Vector index benchmark: ${vectorCount} vectors x ${dimensions} dimensions, ${queryCount} queries, top ${topK}\n`);
+    
+    const clusterCount = Math.max(10, Math.round(Math.sqrt(vectorCount)));
+    const chunks = createClusteredVectors(vectorCount, clusterCount)
+        .map((embedding, i) => ({ chunk: `chunk ${i}`, embedding, chunkIndex: i }));
+    const queries = createClusteredVectors(queryCount, clusterCount);
+    
+    const buildStart = Date.now();
+    rebuildVectorIndex(chunks);
+    await waitForVectorIndex();
+    const buildSeconds = (Date.now() - buildStart) / 1000;
+    
+    const stats = getVectorIndexStats();
+    console.log(`🔨 HNSW build: ${buildSeconds.toFixed(2)}s (${Math.round(vectorCount / buildSeconds)} vectors/s, M=${stats.m}, efConstruction=${stats.efConstruction}, ${stats.maxLevel + 1} layers)`);
+    
+    const exact = timeQueries(queries, { topK, exact: true });
+    const approximate = timeQueries(queries, { topK });
+    
+    let hits = 0;
+    approximate.results.forEach((found, i) => {
+        const expected = new Set(exact.results[i].map(result => result.doc));
+        hits += found.filter(result => expected.has(result.doc)).length;
+    });
+    
+    const exactTotal = exact.latencies.reduce((sum, value) => sum + value, 0);
+    const approximateTotal = approximate.latencies.reduce((sum, value) => sum + value, 0);
+    
+    console.log(`🎯 Exact search: ${formatLatency(exact.latencies)}`);
+    console.log(`⚡ HNSW search (efSearch=${stats.efSearch}): ${formatLatency(approximate.latencies)}`);
+    console.log(`✅ Recall@${topK}: ${(hits / (queryCount * topK) * 100).toFixed(1)}%`);
+    console.log(`🚀 Speed-up: ${(exactTotal / approximateTotal).toFixed(1)}x`);
+}
+
+runBenchmark().catch(error => {
+    console.error('❌ Benchmark failed:', error);
+    process.exit(1);
+});
@@ -1,5 +1,18 @@
+const path = require('path');
+
 const isAzureAppService = !!process.env.WEBSITE_SITE_NAME;
 const useLocalModel = process.env.USE_LOCAL_MODEL === 'true';
+const llmProvider = process.env.LLM_PROVIDER || (useLocalModel ? 'transformers' : 'azure-openai');
+const ragDataDir = process.env.RAG_DATA_DIR || path.join(__dirname, '..', 'data');
+
+// Settings with a fixed set of values - a typo fails at startup instead of quietly picking another behaviour
+function oneOf(name, allowed, defaultValue) {
+    const value = process.env[name] || defaultValue;
+    if (!allowed.includes(value)) {
+        throw new Error(`Invalid ${name} "${value}". Expected one of: ${allowed.join(', ')}`);
+    }
+    return value;
+}
 
 module.exports = {
     // Environment detection
@@ -12,12 +25,119 @@ module.exports = {
     // RAG Configuration
     ragChunkSize: parseInt(process.env.RAG_CHUNK_SIZE) || 500,
     ragChunkOverlap: parseInt(process.env.RAG_CHUNK_OVERLAP) || 50,
+    // Website chunks are sized in estimated tokens and split at headings, paragraphs and sentences
+    ragChunkTokens: parseInt(process.env.RAG_CHUNK_TOKENS) || 350,
+    ragChunkOverlapTokens: process.env.RAG_CHUNK_OVERLAP_TOKENS !== undefined ? parseInt(process.env.RAG_CHUNK_OVERLAP_TOKENS) : 40,
     ragTopK: parseInt(process.env.RAG_TOP_K) || 3,
+    // Chat context - ranked candidates are packed into the model's context window, up to a token cap
+    ragContextCandidates: parseInt(process.env.RAG_CONTEXT_CANDIDATES) || 10,
+    ragContextMaxTokens: parseInt(process.env.RAG_CONTEXT_MAX_TOKENS) || 6000,
+    
+    // Hybrid retrieval - candidates below the minimum scores are dropped before fusion
+    ragMinSimilarity: process.env.RAG_MIN_SIMILARITY !== undefined ? parseFloat(process.env.RAG_MIN_SIMILARITY) : 0.2,
+    ragMinBm25Score: process.env.RAG_MIN_BM25_SCORE !== undefined ? parseFloat(process.env.RAG_MIN_BM25_SCORE) : 0.5,
+    ragRrfK: parseInt(process.env.RAG_RRF_K) || 60,
+    ragUseMmr: process.env.RAG_USE_MMR !== 'false',
+    ragMmrLambda: process.env.RAG_MMR_LAMBDA !== undefined ? parseFloat(process.env.RAG_MMR_LAMBDA) : 0.7,
+    
+    // Vector search - HNSW approximate index with exact search for small or still-building indexes
+    ragVectorSearch: process.env.RAG_VECTOR_SEARCH || 'hnsw',
+    ragAnnMinChunks: process.env.RAG_ANN_MIN_CHUNKS !== undefined ? parseInt(process.env.RAG_ANN_MIN_CHUNKS) : 1000,
+    hnswM: parseInt(process.env.RAG_HNSW_M) || 16,
+    hnswEfConstruction: parseInt(process.env.RAG_HNSW_EF_CONSTRUCTION) || 100,
+    hnswEfSearch: parseInt(process.env.RAG_HNSW_EF_SEARCH) || 64,
+    
+    // Index persistence
+    ragPersistIndex: process.env.RAG_PERSIST_INDEX !== 'false',
+    ragDataDir,
+    
+    // Conversations - server-side history per conversation ID, trimmed to the last N turns
+    conversationMaxTurns: parseInt(process.env.CONVERSATION_MAX_TURNS) || 6,
+    conversationTtlMinutes: parseInt(process.env.CONVERSATION_TTL_MINUTES) || 60,
+    conversationMaxSessions: parseInt(process.env.CONVERSATION_MAX_SESSIONS) || 1000,
+    conversationCondenseQuery: process.env.CONVERSATION_CONDENSE_QUERY !== 'false',
+    
+    // Prompt templates - one JSON file per template; PROMPT_TEMPLATE answers unless a request names another.
+    // The shipped templates live in templates/; templates saved from the admin panel go here and override them.
+    promptTemplatesDir: process.env.PROMPT_TEMPLATES_DIR || path.join(ragDataDir, 'templates'),
+    promptTemplate: process.env.PROMPT_TEMPLATE || 'default',
+    siteName: process.env.SITE_NAME || process.env.WEBSITE_SITE_NAME || 'this website',
+    
+    // Answer mode - 'grounded' answers only from retrieved passages and declines when the best match is weak
+    answerMode: oneOf('ANSWER_MODE', ['open', 'grounded'], 'open'),
+    groundedMinSimilarity: process.env.GROUNDED_MIN_SIMILARITY !== undefined ? parseFloat(process.env.GROUNDED_MIN_SIMILARITY) : 0.4,
+    groundedMinBm25Score: process.env.GROUNDED_MIN_BM25_SCORE !== undefined ? parseFloat(process.env.GROUNDED_MIN_BM25_SCORE) : 3,
+    groundedDeclineMessage: process.env.GROUNDED_DECLINE_MESSAGE || "I don't have information about that.",
+    groundedPromptTemplate: process.env.GROUNDED_PROMPT_TEMPLATE || 'grounded',
+    groundedMaxSuggestions: process.env.GROUNDED_MAX_SUGGESTIONS !== undefined ? parseInt(process.env.GROUNDED_MAX_SUGGESTIONS) : 3,
     
     // Website Crawling
     websiteAutoCrawl: process.env.WEBSITE_AUTO_CRAWL === 'true',
     websiteMaxPages: parseInt(process.env.WEBSITE_MAX_PAGES) || 50,
     websiteCrawlDelay: parseInt(process.env.WEBSITE_CRAWL_DELAY) || 1000,
+    websiteCrawlConcurrency: parseInt(process.env.WEBSITE_CRAWL_CONCURRENCY) || 4,
+    websiteCrawlMaxRetries: process.env.WEBSITE_CRAWL_MAX_RETRIES !== undefined ? parseInt(process.env.WEBSITE_CRAWL_MAX_RETRIES) : 2,
+    websiteUseSitemaps: process.env.WEBSITE_USE_SITEMAPS !== 'false',
+    websiteIncludeDocuments: process.env.WEBSITE_INCLUDE_DOCUMENTS === 'true',
+    websiteMaxDocumentMb: parseInt(process.env.WEBSITE_MAX_DOCUMENT_MB) || 10,
+    crawlJobHistory: parseInt(process.env.CRAWL_JOB_HISTORY) || 20,
+    
+    // Outbound fetch policy - private and metadata addresses are refused unless explicitly allowed
+    crawlAllowedDomains: (process.env.CRAWL_ALLOWED_DOMAINS || '').split(',').map(domain => domain.trim()).filter(Boolean),
+    crawlAllowPrivateNetworks: process.env.CRAWL_ALLOW_PRIVATE_NETWORKS === 'true',
+    crawlMaxResponseMb: parseInt(process.env.CRAWL_MAX_RESPONSE_MB) || 5,
+    
+    // Embeddings - defaults to Azure OpenAI when an embeddings deployment is configured
+    embeddings: {
+        provider: process.env.EMBEDDING_PROVIDER ||
+            (process.env.AZURE_OPENAI_EMBEDDING_DEPLOYMENT ? 'azure-openai' : 'transformers'),
+        transformersModel: process.env.EMBEDDING_MODEL_NAME || 'Xenova/all-MiniLM-L6-v2',
+        azureOpenAI: {
+            endpoint: process.env.AZURE_OPENAI_EMBEDDING_ENDPOINT || process.env.AZURE_OPENAI_ENDPOINT,
+            key: process.env.AZURE_OPENAI_EMBEDDING_KEY || process.env.AZURE_OPENAI_KEY,
+            deployment: process.env.AZURE_OPENAI_EMBEDDING_DEPLOYMENT,
+            version: process.env.AZURE_OPENAI_EMBEDDING_VERSION || process.env.AZURE_OPENAI_VERSION || '2024-08-01-preview'
+        }
+    },
+    
+    // Chat model provider - Transformers.js when USE_LOCAL_MODEL is on, otherwise Azure OpenAI
+    llm: {
+        provider: llmProvider,
+        // Tried in order when the provider above fails - entries are a provider name or provider:model.
+        // Local model mode falls back to Azure OpenAI, as it always has.
+        fallbackProviders: (process.env.LLM_FALLBACK_PROVIDERS ?? (llmProvider === 'transformers' ? 'azure-openai' : ''))
+            .split(',').map(entry => entry.trim()).filter(Boolean),
+        maxRetries: process.env.LLM_MAX_RETRIES !== undefined ? parseInt(process.env.LLM_MAX_RETRIES) : 2,
+        retryBaseMs: parseInt(process.env.LLM_RETRY_BASE_MS) || 500,
+        // A Retry-After longer than this moves on to the next provider instead of keeping the user waiting
+        maxRetryAfterSeconds: parseInt(process.env.LLM_MAX_RETRY_AFTER_SECONDS) || 20,
+        circuitFailureThreshold: parseInt(process.env.LLM_CIRCUIT_FAILURE_THRESHOLD) || 3,
+        circuitCooldownSeconds: parseInt(process.env.LLM_CIRCUIT_COOLDOWN_SECONDS) || 60,
+        // Answer length, and the limits assumed for models the capability registry doesn't know
+        maxResponseTokens: parseInt(process.env.LLM_MAX_RESPONSE_TOKENS) || 1500,
+        contextWindow: parseInt(process.env.LLM_CONTEXT_WINDOW) || 8192,
+        maxOutputTokens: parseInt(process.env.LLM_MAX_OUTPUT_TOKENS) || 4096,
+        openAI: {
+            baseUrl: process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1',
+            key: process.env.OPENAI_API_KEY,
+            model: process.env.OPENAI_MODEL || 'gpt-4o-mini',
+            embeddingModel: process.env.OPENAI_EMBEDDING_MODEL
+        },
+        // Any server speaking the OpenAI chat completions API - vLLM, llama.cpp server, LM Studio...
+        openAICompatible: {
+            baseUrl: process.env.LLM_BASE_URL,
+            key: process.env.LLM_API_KEY,
+            model: process.env.LLM_MODEL,
+            embeddingModel: process.env.LLM_EMBEDDING_MODEL
+        },
+        ollama: {
+            baseUrl: process.env.OLLAMA_BASE_URL || 'http://localhost:11434',
+            model: process.env.OLLAMA_MODEL || 'llama3.1',
+            embeddingModel: process.env.OLLAMA_EMBEDDING_MODEL,
+            // Ollama cuts prompts to the server's num_ctx, whatever the model supports
+            contextWindow: parseInt(process.env.OLLAMA_CONTEXT_WINDOW) || 4096
+        }
+    },
     
     // Azure OpenAI
     azureOpenAI: {
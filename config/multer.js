@@ -27,8 +27,7 @@ const upload = multer({
 });
 
 function configureMulter(app) {
-    // Add upload endpoints here if needed in the future
-    // app.post('/api/upload', upload.single('file'), uploadHandler);
+    // Upload endpoints use the shared `upload` instance - see routes/documents.js
 }
 
 module.exports = { configureMulter, upload };
\ No newline at end of file
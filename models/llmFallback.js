@@ -0,0 +1,262 @@
+const OpenAI = require('openai');
+const { llm: llmConfig } = require('../config/environment');
+const { createLlmProvider, getLlmProvider, abortError } = require('./llmProviders');
+const { sleep, parseRetryAfter, backoffDelay } = require('../utils/retryUtils');
+const { logSuccess, logWarning } = require('../utils/logger');
+
+// Failures that usually clear up by themselves - retried on the same provider before moving on
+const TRANSIENT_STATUSES = [408, 409, 429];
+// The provider is misconfigured (bad key, unknown model or deployment) - retrying won't help, the next provider might
+const PROVIDER_FAULT_STATUSES = [401, 403, 404];
+const MAX_BACKOFF_MS = 8000;
+
+// 'transient': retry, then fail over
+// 'provider': fail over straight away
+// 'request': the provider rejected this request (400, 413...) but is healthy - fail over without tripping its circuit
+function classifyFailure(error) {
+    if (error.cause instanceof OpenAI.APIConnectionError || TRANSIENT_STATUSES.includes(error.status) || error.status >= 500) {
+        return 'transient';
+    }
+    if (error.status >= 400 && !PROVIDER_FAULT_STATUSES.includes(error.status)) {
+        return 'request';
+    }
+    return 'provider';
+}
+
+// Azure OpenAI sends retry-after-ms alongside Retry-After; returns milliseconds, or null if the server didn't say
+function retryAfterMs(error) {
+    const headers = error.headers || {};
+    const ms = parseFloat(headers['retry-after-ms']);
+    return Number.isNaN(ms) ? parseRetryAfter(headers['retry-after']) : ms;
+}
+
+function providerKey(provider) {
+    return `${provider.name}:${provider.model}`;
+}
+
+// One circuit breaker per chain entry. After circuitFailureThreshold failed requests in a row the circuit opens
+// and the entry is skipped until the cool-down ends. The next request is a trial: success closes the circuit,
+// failure opens it again.
+const circuits = new Map();   // providerKey -> { state, failures, openUntil, trialInFlight, lastError }
+
+function circuitFor(provider) {
+    const key = providerKey(provider);
+    if (!circuits.has(key)) {
+        circuits.set(key, { state: 'closed', failures: 0, openUntil: null, trialInFlight: false, lastError: null });
+    }
+    return circuits.get(key);
+}
+
+// Whether a request may go to the provider - also moves an open circuit to half-open once the cool-down is over
+function acquireCircuit(circuit, now = Date.now()) {
+    if (circuit.state === 'open') {
+        if (now < circuit.openUntil) return false;
+        circuit.state = 'half-open';
+    }
+    if (circuit.state === 'half-open') {
+        if (circuit.trialInFlight) return false;
+        circuit.trialInFlight = true;
+    }
+    return true;
+}
+
+function recordSuccess(provider, circuit) {
+    if (circuit.state !== 'closed') {
+        logSuccess(`${provider.label} (${provider.model}) is answering again - circuit closed`);
+    }
+    Object.assign(circuit, { state: 'closed', failures: 0, openUntil: null, trialInFlight: false });
+}
+
+function recordFailure(provider, circuit, error, now = Date.now()) {
+    circuit.failures++;
+    circuit.lastError = error.message;
+    circuit.trialInFlight = false;
+    
+    if (circuit.state === 'half-open' || circuit.failures >= llmConfig.circuitFailureThreshold) {
+        circuit.state = 'open';
+        circuit.openUntil = now + llmConfig.circuitCooldownSeconds * 1000;
+        logWarning(`${provider.label} (${provider.model}) circuit open for ${llmConfig.circuitCooldownSeconds}s after ${circuit.failures} failure(s)`);
+    }
+}
+
+// The request was cancelled - a trial that never finished says nothing about the provider
+function releaseCircuit(circuit) {
+    circuit.trialInFlight = false;
+}
+
+// LLM_PROVIDER followed by LLM_FALLBACK_PROVIDERS, built on first use. Entries are a provider name or
+// provider:model - "azure-openai:gpt-4o-mini" uses another deployment, "ollama:llama3.1:8b" another model.
+let chain = null;
+
+function getFallbackChain() {
+    if (chain) return chain;
+    
+    const providers = [getLlmProvider()];
+    for (const entry of llmConfig.fallbackProviders) {
+        const [name, ...model] = entry.split(':');
+        try {
+            const provider = createLlmProvider(name, { model: model.join(':') || undefined });
+            if (!providers.some(existing => providerKey(existing) === providerKey(provider))) {
+                providers.push(provider);
+            }
+        } catch (error) {
+            logWarning(`Ignoring fallback provider "${entry}": ${error.message}`);
+        }
+    }
+    
+    chain = providers;
+    return chain;
+}
+
+function failureFor(provider, details) {
+    return { provider: provider.name, label: provider.label, model: provider.model, ...details };
+}
+
+function allProvidersFailedError(failures) {
+    const error = failures.length === 1
+        ? new Error(failures[0].error)
+        : new Error(`All LLM providers failed - ${failures.map(f => `${f.label} (${f.model}): ${f.error}`).join('; ')}`);
+    error.status = [...failures].reverse().find(f => f.status)?.status;
+    error.failures = failures;
+    return error;
+}
+
+// Sends one request down the chain, retrying transient failures with jittered exponential backoff (or the
+// server's Retry-After) and moving on to the next provider when one gives up.
+// call(provider) makes the request. canFailOver() returning false stops both retries and failover - used
+// once a stream has sent text to the client.
+// Resolves to { content, provider, label, model, attempts, failures } - failures lists the providers that were
+// skipped or failed before this one answered.
+async function runWithFallback(call, options = {}) {
+    const {
+        signal,
+        maxRetries = llmConfig.maxRetries,
+        filter = () => true,
+        canFailOver = () => true
+    } = options;
+    const failures = [];
+    let attempts = 0;
+    
+    for (const provider of getFallbackChain().filter(filter)) {
+        if (!provider.isReady()) {
+            failures.push(failureFor(provider, { skipped: 'not available', error: provider.getStatus().error }));
+            continue;
+        }
+        
+        const circuit = circuitFor(provider);
+        if (!acquireCircuit(circuit)) {
+            failures.push(failureFor(provider, { skipped: 'circuit open', error: `Circuit open after repeated failures: ${circuit.lastError}` }));
+            continue;
+        }
+        
+        for (let retry = 0; ; retry++) {
+            attempts++;
+            
+            try {
+                const content = await call(provider);
+                recordSuccess(provider, circuit);
+                return { content, provider: provider.name, label: provider.label, model: provider.model, attempts, failures };
+            
+            } catch (error) {
+                if (error.name === 'AbortError' || (signal && signal.aborted)) {
+                    releaseCircuit(circuit);
+                    throw error;
+                }
+                
+                const kind = classifyFailure(error);
+                if (kind === 'transient' && retry < maxRetries && canFailOver()) {
+                    const retryAfter = retryAfterMs(error);
+                    
+                    // A long Retry-After means the next provider will answer sooner
+                    if (retryAfter === null || retryAfter <= llmConfig.maxRetryAfterSeconds * 1000) {
+                        const delay = retryAfter ?? backoffDelay(retry, llmConfig.retryBaseMs, MAX_BACKOFF_MS);
+                        console.log(`🔁 Retrying ${provider.label} (attempt ${retry + 2}/${maxRetries + 1}) after ${error.status || 'connection error'} in ${delay}ms${retryAfter !== null ? ' (Retry-After)' : ''}`);
+                        await sleep(delay, signal);
+                        if (signal && signal.aborted) {
+                            releaseCircuit(circuit);
+                            throw abortError();
+                        }
+                        continue;
+                    }
+                }
+                
+                if (kind === 'request') {
+                    recordSuccess(provider, circuit);
+                } else {
+                    recordFailure(provider, circuit, error);
+                }
+                failures.push(failureFor(provider, { attempts: retry + 1, status: error.status, error: error.message }));
+                
+                if (!canFailOver()) {
+                    throw error;
+                }
+                logWarning(`${provider.label} (${provider.model}) failed: ${error.message}`);
+                break;
+            }
+        }
+    }
+    
+    if (failures.length === 0) {
+        throw new Error('No LLM provider is configured for this request');
+    }
+    throw allProvidersFailedError(failures);
+}
+
+// messages is the chat messages, or a function building them for a provider - prompts sized to the context window
+// differ from one provider to the next
+function messagesFor(messages, provider) {
+    return typeof messages === 'function' ? messages(provider) : messages;
+}
+
+// provider.generate through the chain - options are passed on to the provider, apart from the runWithFallback ones
+async function generateWithFallback(messages, { maxRetries, filter, ...options } = {}) {
+    return runWithFallback(
+        provider => provider.generate(messagesFor(messages, provider), options),
+        { signal: options.signal, maxRetries, filter }
+    );
+}
+
+// provider.stream through the chain. Once a delta has reached onToken the answer can't be restarted on
+// another provider, so a failure after that point is thrown as it is.
+async function streamWithFallback(messages, { maxRetries, filter, onToken = () => {}, ...options } = {}) {
+    let streamed = false;
+    
+    return runWithFallback(
+        provider => provider.stream(messagesFor(messages, provider), {
+            ...options,
+            onToken: (delta) => {
+                streamed = true;
+                onToken(delta);
+            }
+        }),
+        { signal: options.signal, maxRetries, filter, canFailOver: () => !streamed }
+    );
+}
+
+// The first configured provider in the chain, or null when none can be used at all.
+// Open circuits aren't considered - a request that finds every circuit open reports that itself.
+function getReadyProvider() {
+    return getFallbackChain().find(provider => provider.isReady()) || null;
+}
+
+function getFallbackStatus() {
+    return getFallbackChain().map(provider => {
+        const circuit = circuits.get(providerKey(provider));
+        return {
+            provider: provider.name,
+            model: provider.model,
+            ready: provider.isReady(),
+            circuit: circuit
+                ? { state: circuit.state, failures: circuit.failures, openUntil: circuit.openUntil ? new Date(circuit.openUntil).toISOString() : null, lastError: circuit.lastError }
+                : { state: 'closed', failures: 0, openUntil: null, lastError: null }
+        };
+    });
+}
+
+module.exports = {
+    generateWithFallback,
+    streamWithFallback,
+    getFallbackChain,
+    getReadyProvider,
+    getFallbackStatus
+};
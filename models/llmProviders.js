@@ -0,0 +1,450 @@
+const OpenAI = require('openai');
+const { isAzureAppService, llm: llmConfig, azureOpenAI: azureConfig, embeddings: embeddingConfig } = require('../config/environment');
+const { initializeLocalModel, generateLocalText, getLocalModel, getModelLoading, getModelError } = require('./localModels');
+const { getModelCapabilities, getCompletionTokenLimit } = require('./modelCapabilities');
+const { logSuccess, logWarning, logError } = require('../utils/logger');
+
+// Every provider has the same shape:
+//   name, label, model, embeddingModel
+//   capabilities: { streaming, embeddings, systemMessages, followsInstructions } plus the model's entry in
+//     the capability registry (contextWindow, maxOutputTokens, temperature, reasoning, tokenizer)
+//   initialize() -> true when usable, isReady(), getStatus() -> { provider, model, ready, error }
+//   generate(messages, { maxTokens, temperature, signal }) -> reply text, '' when the model returned none
+//   stream(messages, { onToken, signal, ...generateOptions }) -> reply text, with deltas sent to onToken
+//   embed(text) -> vector
+// Providers that speak the OpenAI API also have getEmbeddingStatus() -> { ready, error } - embeddings may be
+// configured separately from chat (Azure's embeddings deployment), so they are ready or not on their own.
+// messages are chat messages, [{ role: 'system' | 'user' | 'assistant', content }], oldest first.
+
+// Reasoning models (o1, o3-mini...) take max_completion_tokens and no sampling parameters
+function completionParameters(capabilities, { maxTokens, temperature } = {}) {
+    const limit = getCompletionTokenLimit(capabilities, maxTokens);
+    if (capabilities.reasoning) {
+        return { max_completion_tokens: limit };
+    }
+    
+    return {
+        max_tokens: limit,
+        ...(capabilities.temperature ? { temperature: temperature ?? 0.7, top_p: 0.9 } : {})
+    };
+}
+
+// Models without system-message support (o1...) reject the role, so the instructions - which may hold
+// the retrieved passages - lead the latest user message instead of being lost
+function normalizeMessages(capabilities, messages) {
+    if (capabilities.systemMessages) return messages;
+    
+    const instructions = messages.filter(m => m.role === 'system').map(m => m.content).join('\n\n');
+    const conversation = messages.filter(m => m.role !== 'system');
+    if (!instructions) return conversation;
+    
+    const lastUser = conversation.map(m => m.role).lastIndexOf('user');
+    if (lastUser === -1) {
+        return [...conversation, { role: 'user', content: instructions }];
+    }
+    return conversation.map((m, i) => i === lastUser ? { ...m, content: `${instructions}\n\n${m.content}` } : m);
+}
+
+function abortError() {
+    const error = new Error('Request aborted by client');
+    error.name = 'AbortError';
+    return error;
+}
+
+// Provide more specific error messages - the HTTP status is kept on error.status
+function describeProviderError(provider, error) {
+    const noun = provider.name === 'azure-openai' ? 'deployment' : 'model';
+    let described;
+    
+    if (error.status === 404) {
+        described = new Error(`${provider.label} ${noun} '${provider.model}' not found. Please check your ${noun} name.`);
+    } else if (error.status === 401) {
+        described = new Error(`Invalid ${provider.label} API key. Please check your credentials.`);
+    } else if (error.status === 429) {
+        described = new Error(`${provider.label} quota or rate limit exceeded. Please check your usage limits.`);
+    } else if (error.status === 400) {
+        described = new Error(`${provider.label} parameter error: ${error.message}`);
+    } else if (error instanceof OpenAI.APIConnectionError) {
+        described = new Error(`Could not reach ${provider.label} at ${provider.baseUrl}: ${error.cause?.message || error.message}`);
+    } else if (error.message && error.message.includes('JSON')) {
+        described = new Error(`JSON parsing error: ${error.message}. Check the ${provider.label} configuration.`);
+    } else {
+        described = new Error(`${provider.label} error: ${error.message}`);
+    }
+    
+    // The fallback chain decides on retries from the original status, headers and error class
+    described.status = error.status;
+    described.headers = error.headers;
+    described.cause = error;
+    return described;
+}
+
+// Shared by every backend that speaks the OpenAI chat completions API. The client is created on first
+// use; missing lists the unset environment variables that keep the provider from working.
+// maxContextWindow caps the model's window for servers that serve less of it than the model supports.
+// createEmbeddingClient and embeddingMissing are for embeddings served apart from chat; without them the chat client embeds.
+function createChatCompletionsProvider({ name, label, baseUrl, model, embeddingModel = null, missing = [], maxContextWindow = null, createClient, createEmbeddingClient = null, embeddingMissing = [] }) {
+    const { known, ...modelCapabilities } = getModelCapabilities(model);
+    let client = null;
+    let embeddingClient = null;
+    let error = null;
+    let embeddingError = null;
+    
+    function connect() {
+        if (client) return true;
+        
+        if (missing.length > 0) {
+            error = `${label} configuration incomplete. Missing: ${missing.join(', ')}`;
+            return false;
+        }
+        
+        try {
+            client = createClient();
+            error = null;
+            return true;
+        } catch (clientError) {
+            error = `Failed to initialize ${label} client: ${clientError.message}`;
+            return false;
+        }
+    }
+    
+    function connectEmbeddings() {
+        if (embeddingClient) return true;
+        
+        if (!embeddingModel) {
+            embeddingError = `${label} has no embedding model configured`;
+            return false;
+        }
+        
+        if (!createEmbeddingClient) {
+            if (!connect()) {
+                embeddingError = error;
+                return false;
+            }
+            embeddingClient = client;
+            embeddingError = null;
+            return true;
+        }
+        
+        if (embeddingMissing.length > 0) {
+            embeddingError = `${label} embeddings configuration incomplete. Missing: ${embeddingMissing.join(', ')}`;
+            return false;
+        }
+        
+        try {
+            embeddingClient = createEmbeddingClient();
+            embeddingError = null;
+            return true;
+        } catch (clientError) {
+            embeddingError = `Failed to initialize ${label} embeddings client: ${clientError.message}`;
+            return false;
+        }
+    }
+    
+    const provider = {
+        name,
+        label,
+        baseUrl,
+        model,
+        embeddingModel,
+        capabilities: {
+            ...modelCapabilities,
+            contextWindow: Math.min(modelCapabilities.contextWindow, maxContextWindow || Infinity),
+            embeddings: !!embeddingModel,
+            followsInstructions: true
+        },
+        
+        async initialize() {
+            if (client) return true;
+            
+            if (!connect()) {
+                logWarning(error);
+                return false;
+            }
+            logSuccess(`${label} client initialized (${model})`);
+            if (!known) {
+                logWarning(`${label} model '${model}' is not in the capability registry - assuming a ${provider.capabilities.contextWindow}-token context window (LLM_CONTEXT_WINDOW)`);
+            }
+            return true;
+        },
+        
+        isReady: () => connect(),
+        
+        getStatus() {
+            return { provider: name, model, baseUrl, ready: connect(), error };
+        },
+        
+        async generate(messages, options = {}) {
+            if (!connect()) throw new Error(error);
+            
+            try {
+                const response = await client.chat.completions.create({
+                    model,
+                    messages: normalizeMessages(provider.capabilities, messages),
+                    ...completionParameters(provider.capabilities, options)
+                }, { signal: options.signal, maxRetries: 0 });
+                
+                if (!response?.choices?.[0]?.message) {
+                    throw new Error(`Invalid response structure from ${label}`);
+                }
+                return response.choices[0].message.content || '';
+            
+            } catch (requestError) {
+                if (options.signal && options.signal.aborted) throw abortError();
+                logError(`${label} API error: ${requestError.message}`);
+                throw describeProviderError(provider, requestError);
+            }
+        },
+        
+        async stream(messages, { onToken = () => {}, signal, ...options } = {}) {
+            // Models that can't stream send the whole answer as a single delta
+            if (!provider.capabilities.streaming) {
+                const content = await provider.generate(messages, { ...options, signal });
+                onToken(content);
+                return content;
+            }
+            if (!connect()) throw new Error(error);
+            
+            try {
+                const stream = await client.chat.completions.create({
+                    model,
+                    messages: normalizeMessages(provider.capabilities, messages),
+                    ...completionParameters(provider.capabilities, options),
+                    stream: true
+                }, { signal, maxRetries: 0 });
+                let content = '';
+                
+                for await (const chunk of stream) {
+                    // Azure sends content-filter chunks with no choices
+                    const delta = chunk.choices?.[0]?.delta?.content;
+                    if (delta) {
+                        content += delta;
+                        onToken(delta);
+                    }
+                }
+                
+                console.log(`✅ ${label} stream completed (${content.length} characters)`);
+                return content;
+            
+            } catch (requestError) {
+                if (signal && signal.aborted) throw abortError();
+                logError(`${label} streaming error: ${requestError.message}`);
+                throw describeProviderError(provider, requestError);
+            }
+        },
+        
+        getEmbeddingStatus() {
+            const ready = connectEmbeddings();
+            return { ready, error: ready ? null : embeddingError };
+        },
+        
+        async embed(text) {
+            if (!connectEmbeddings()) throw new Error(embeddingError);
+            
+            // The SDK asks for base64 by default, which not every OpenAI-compatible server supports
+            const response = await embeddingClient.embeddings.create({ model: embeddingModel, input: text, encoding_format: 'float' });
+            if (!response || !response.data || !response.data[0] || !Array.isArray(response.data[0].embedding)) {
+                throw new Error(`Invalid response structure from ${label} embeddings`);
+            }
+            return response.data[0].embedding;
+        }
+    };
+    
+    return provider;
+}
+
+function createAzureClient(endpoint, key, deployment, version) {
+    // http:// is accepted so a local stand-in can replace the real endpoint
+    if (!/^https?:\/\//.test(endpoint)) {
+        throw new Error('Invalid endpoint format. Must start with https://');
+    }
+    
+    return new OpenAI({
+        apiKey: key,
+        baseURL: `${endpoint.replace(/\/+$/, '')}/openai/deployments/${deployment}`,
+        defaultQuery: { 'api-version': version },
+        defaultHeaders: {
+            'api-key': key,
+        },
+    });
+}
+
+// Azure OpenAI deployment - embeddings use the embeddings deployment (AZURE_OPENAI_EMBEDDING_*).
+// The factories below take { model } to use another model or deployment than the configured one.
+function createAzureOpenAIProvider({ model } = {}) {
+    const { endpoint, key, version } = azureConfig;
+    const deployment = model || azureConfig.deployment;
+    const embedding = embeddingConfig.azureOpenAI;
+    const missing = [];
+    if (!endpoint) missing.push('AZURE_OPENAI_ENDPOINT');
+    if (!key) missing.push('AZURE_OPENAI_KEY');
+    if (!deployment) missing.push('AZURE_OPENAI_DEPLOYMENT');
+    const embeddingMissing = [];
+    if (!embedding.endpoint) embeddingMissing.push('AZURE_OPENAI_EMBEDDING_ENDPOINT (or AZURE_OPENAI_ENDPOINT)');
+    if (!embedding.key) embeddingMissing.push('AZURE_OPENAI_EMBEDDING_KEY (or AZURE_OPENAI_KEY)');
+    
+    return createChatCompletionsProvider({
+        name: 'azure-openai',
+        label: 'Azure OpenAI',
+        baseUrl: endpoint,
+        model: deployment,
+        embeddingModel: embedding.deployment || null,
+        missing,
+        createClient: () => createAzureClient(endpoint, key, deployment, version),
+        createEmbeddingClient: () => createAzureClient(embedding.endpoint, embedding.key, embedding.deployment, embedding.version),
+        embeddingMissing
+    });
+}
+
+// api.openai.com, or another OpenAI-hosted base URL
+function createOpenAIProvider({ model } = {}) {
+    const { baseUrl, key, embeddingModel } = llmConfig.openAI;
+    
+    return createChatCompletionsProvider({
+        name: 'openai',
+        label: 'OpenAI',
+        baseUrl,
+        model: model || llmConfig.openAI.model,
+        embeddingModel,
+        missing: key ? [] : ['OPENAI_API_KEY'],
+        createClient: () => new OpenAI({ apiKey: key, baseURL: baseUrl })
+    });
+}
+
+// Self-hosted servers with an OpenAI-style /v1 API - most of them ignore the API key
+function createOpenAICompatibleProvider(overrides = {}) {
+    const { baseUrl, key, embeddingModel } = llmConfig.openAICompatible;
+    const model = overrides.model || llmConfig.openAICompatible.model;
+    const missing = [];
+    if (!baseUrl) missing.push('LLM_BASE_URL');
+    if (!model) missing.push('LLM_MODEL');
+    
+    return createChatCompletionsProvider({
+        name: 'openai-compatible',
+        label: 'OpenAI-compatible server',
+        baseUrl,
+        model,
+        embeddingModel,
+        missing,
+        createClient: () => new OpenAI({ apiKey: key || 'not-needed', baseURL: baseUrl })
+    });
+}
+
+// Ollama serves the OpenAI API under /v1 on its own port
+function createOllamaProvider(overrides = {}) {
+    const { baseUrl, embeddingModel } = llmConfig.ollama;
+    const model = overrides.model || llmConfig.ollama.model;
+    const apiUrl = `${baseUrl.replace(/\/+$/, '')}/v1`;
+    
+    return createChatCompletionsProvider({
+        name: 'ollama',
+        label: 'Ollama',
+        baseUrl: apiUrl,
+        model,
+        embeddingModel,
+        maxContextWindow: llmConfig.ollama.contextWindow,
+        createClient: () => new OpenAI({ apiKey: 'ollama', baseURL: apiUrl })
+    });
+}
+
+// Transformers.js models running in-process. The model is loaded at startup or from the admin panel,
+// never on a chat request, since loading can take minutes.
+function createTransformersProvider() {
+    let embedder = null;
+    
+    const provider = {
+        name: 'transformers',
+        label: 'Local model',
+        baseUrl: null,
+        // initializeLocalModel records the model that actually loaded in LOCAL_MODEL_NAME
+        get model() {
+            return process.env.LOCAL_MODEL_NAME || 'distilgpt2';
+        },
+        embeddingModel: embeddingConfig.transformersModel,
+        get capabilities() {
+            const { known, ...modelCapabilities } = getModelCapabilities(provider.model);
+            return {
+                ...modelCapabilities,
+                streaming: true,
+                embeddings: true,
+                systemMessages: false,
+                followsInstructions: false
+            };
+        },
+        
+        async initialize() {
+            if (getLocalModel()) return true;
+            return initializeLocalModel(provider.model);
+        },
+        
+        isReady: () => !!getLocalModel(),
+        
+        getStatus() {
+            return {
+                provider: 'transformers',
+                model: provider.model,
+                ready: !!getLocalModel(),
+                loading: getModelLoading(),
+                error: getLocalModel() ? null : (getModelError() || (isAzureAppService
+                    ? 'Local models not available in Azure App Service'
+                    : 'Local model not loaded'))
+            };
+        },
+        
+        async generate(messages, { maxTokens } = {}) {
+            return generateLocalText(messages, provider.model, { maxNewTokens: maxTokens });
+        },
+        
+        async stream(messages, { onToken, maxTokens } = {}) {
+            return generateLocalText(messages, provider.model, { maxNewTokens: maxTokens, onToken });
+        },
+        
+        async embed(text) {
+            if (!embedder) {
+                // Required here to avoid a load-time cycle - embeddingProviders builds on this module
+                const { createEmbeddingProvider } = require('../services/embeddingProviders');
+                const provider = createEmbeddingProvider('transformers');
+                if (!(await provider.initialize())) {
+                    throw new Error('Transformers.js embeddings not available');
+                }
+                embedder = provider;
+            }
+            return embedder.embed(text);
+        }
+    };
+    
+    return provider;
+}
+
+const providerFactories = {
+    'azure-openai': createAzureOpenAIProvider,
+    'openai': createOpenAIProvider,
+    'openai-compatible': createOpenAICompatibleProvider,
+    'ollama': createOllamaProvider,
+    'transformers': createTransformersProvider
+};
+
+// The provider chosen by LLM_PROVIDER, created on first use
+let activeProvider = null;
+
+function createLlmProvider(name = llmConfig.provider, options = {}) {
+    const factory = providerFactories[name];
+    if (!factory) {
+        throw new Error(`Unknown LLM provider: ${name}. Expected one of: ${Object.keys(providerFactories).join(', ')}`);
+    }
+    return factory(options);
+}
+
+function getLlmProvider() {
+    if (!activeProvider) {
+        activeProvider = createLlmProvider();
+    }
+    return activeProvider;
+}
+
+module.exports = {
+    abortError,
+    createLlmProvider,
+    getLlmProvider,
+    getAvailableLlmProviders: () => Object.keys(providerFactories)
+};
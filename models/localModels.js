@@ -96,7 +96,7 @@ async function initializeLocalModel(modelName = 'Xenova/LaMini-Flan-T5-248M') {
             process.env.LOCAL_MODEL_NAME = fallbackModel;
             
             return true;
-            
+        
         } catch (error) {
             console.log(`❌ Failed to load ${fallbackModel}: ${error.message}`);
             
@@ -118,79 +118,98 @@ async function initializeLocalModel(modelName = 'Xenova/LaMini-Flan-T5-248M') {
     return false;
 }
 
-async function generateResponseWithContext(message, context, sources, modelName) {
+// Small local models have short context windows, so each earlier message is clipped
+function formatHistory(history) {
+    if (history.length === 0) return '';
+    
+    const transcript = history
+        .map(m => `${m.role === 'user' ? 'User' : 'Assistant'}: ${m.content.substring(0, 300)}`)
+        .join('\n');
+    return `Conversation so far:\n${transcript}\n\n`;
+}
+
+// Flatten chat messages into a single prompt. System messages are dropped - models this small
+// follow the question better without them - and the last user message becomes the question.
+function formatPrompt(messages, task) {
+    const turns = messages.filter(m => m.role !== 'system');
+    const last = turns[turns.length - 1];
+    const conversation = formatHistory(turns.slice(0, -1));
+    
+    if (task === 'text2text-generation') {
+        return `${conversation}${last.content}\n\nAnswer:`;
+    }
+    return `${conversation}${conversation ? `User: ${last.content}\nAssistant:` : last.content}`;
+}
+
+// Transformers.js calls callback_function with the beams after every generated token.
+// The first call marks where generated tokens start (decoder-only models echo the prompt),
+// and each later call emits only the newly decoded text.
+function createStreamingOptions(onToken) {
+    if (!onToken) return {};
+    
+    let offset = null;
+    let emitted = '';
+    
+    return {
+        callback_function: (beams) => {
+            const tokenIds = beams[0].output_token_ids;
+            if (offset === null) {
+                offset = tokenIds.length - 1;
+            }
+            
+            const text = localModel.tokenizer.decode(tokenIds.slice(offset), { skip_special_tokens: true });
+            if (text.length > emitted.length && text.startsWith(emitted)) {
+                onToken(text.slice(emitted.length));
+                emitted = text;
+            }
+        }
+    };
+}
+
+// Generate a reply to chat messages ([{ role, content }], oldest first) with the loaded model.
+// onToken: optional callback that receives text deltas while the model generates
+async function generateLocalText(messages, modelName, { maxNewTokens, onToken = null } = {}) {
     if (!localModel) {
         throw new Error('Local model not initialized');
     }
     
     const modelInfo = getLocalModelInfo(modelName);
+    const prompt = formatPrompt(messages, modelInfo.task);
+    const streamingOptions = createStreamingOptions(onToken);
     
     try {
         if (modelInfo.task === 'text-generation') {
-            let prompt = message;
-            
-            if (context) {
-                prompt = `Context from documentation and website:
-${context}
-
-Question: ${message}
-
-Based on the context above, please provide a helpful and accurate answer:`;
-            }
-            
             const result = await localModel(prompt, {
-                max_new_tokens: 200,
+                max_new_tokens: maxNewTokens || 200,
                 temperature: 0.7,
                 do_sample: true,
-                return_full_text: false
+                return_full_text: false,
+                ...streamingOptions
             });
             
-            let response = result[0].generated_text.trim();
-            
-            if (sources.length > 0) {
-                response += `\n\n📚 **Sources:**\n${sources.map(s => `• ${s}`).join('\n')}`;
-            }
-            
-            return response;
-            
+            return result[0].generated_text.trim();
+        
         } else if (modelInfo.task === 'text2text-generation') {
-            let prompt = `Answer the following question based on the provided context.
-
-Context: ${context || 'No specific context provided.'}
-
-Question: ${message}
-
-Answer:`;
-            
             const result = await localModel(prompt, {
-                max_new_tokens: 200
+                max_new_tokens: maxNewTokens || 200,
+                ...streamingOptions
             });
             
-            let response = result[0].generated_text.trim();
-            
-            if (sources.length > 0) {
-                response += `\n\n📚 **Sources:**\n${sources.map(s => `• ${s}`).join('\n')}`;
-            }
-            
-            return response;
+            return result[0].generated_text.trim();
         }
         
-        // Fallback for other model types
-        const result = await localModel(message, {
-            max_new_tokens: 150,
-            temperature: 0.7
+        // Fallback for other model types - they take the bare question
+        const question = messages.filter(m => m.role === 'user').pop().content;
+        const result = await localModel(question, {
+            max_new_tokens: maxNewTokens || 150,
+            temperature: 0.7,
+            ...streamingOptions
         });
         
-        let response = result[0]?.generated_text || result.answer || "I couldn't generate a response.";
-        
-        if (sources.length > 0) {
-            response += `\n\n📚 **Sources:**\n${sources.map(s => `• ${s}`).join('\n')}`;
-        }
-        
-        return response;
-        
+        return result[0]?.generated_text || result.answer || "I couldn't generate a response.";
+    
     } catch (error) {
-        logError(`Error generating response with context: ${error.message}`);
+        logError(`Error generating local response: ${error.message}`);
         throw error;
     }
 }
@@ -198,7 +217,7 @@ Answer:`;
 module.exports = {
     conditionallyLoadTransformers,
     initializeLocalModel,
-    generateResponseWithContext,
+    generateLocalText,
     getLocalModel: () => localModel,
     getModelLoading: () => modelLoading,
     getModelError: () => modelError,
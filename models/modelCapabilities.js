@@ -0,0 +1,67 @@
+const { llm: llmConfig } = require('../config/environment');
+
+// What each chat model can do, matched against the model or deployment name in order - the first match wins,
+// so specific names come before their families. Azure deployments are matched by name, so a deployment
+// called after its model ("gpt-4o-mini", "prod-gpt-4o") is recognised.
+//   contextWindow:   prompt + completion tokens the model accepts
+//   maxOutputTokens: largest completion the model will produce
+//   systemMessages:  honours system messages (otherwise they lead the latest user message)
+//   temperature:     accepts temperature and top_p
+//   reasoning:       o-series model - takes max_completion_tokens, which also covers hidden reasoning tokens
+//   streaming:       supports stream: true
+//   tokenizer:       js-tiktoken encoding used to count prompt tokens. Models outside OpenAI's use their own
+//                    vocabularies, so their counts are close estimates
+const MODEL_CAPABILITIES = [
+    { pattern: /(^|[-_./:])o1-mini/i, contextWindow: 128000, maxOutputTokens: 65536, systemMessages: false, temperature: false, reasoning: true, streaming: false, tokenizer: 'o200k_base' },
+    { pattern: /(^|[-_./:])o1-preview/i, contextWindow: 128000, maxOutputTokens: 32768, systemMessages: false, temperature: false, reasoning: true, streaming: false, tokenizer: 'o200k_base' },
+    { pattern: /(^|[-_./:])o\d(-|$)/i, contextWindow: 200000, maxOutputTokens: 100000, systemMessages: false, temperature: false, reasoning: true, streaming: false, tokenizer: 'o200k_base' },
+    { pattern: /gpt-?4\.1/i, contextWindow: 1047576, maxOutputTokens: 32768, tokenizer: 'o200k_base' },
+    { pattern: /gpt-?4o/i, contextWindow: 128000, maxOutputTokens: 16384, tokenizer: 'o200k_base' },
+    { pattern: /gpt-?4-(turbo|1106|0125|vision)/i, contextWindow: 128000, maxOutputTokens: 4096, tokenizer: 'cl100k_base' },
+    { pattern: /gpt-?4-32k/i, contextWindow: 32768, maxOutputTokens: 4096, tokenizer: 'cl100k_base' },
+    { pattern: /gpt-?4/i, contextWindow: 8192, maxOutputTokens: 4096, tokenizer: 'cl100k_base' },
+    { pattern: /gpt-?35-turbo|gpt-3\.5-turbo/i, contextWindow: 16385, maxOutputTokens: 4096, tokenizer: 'cl100k_base' },
+    { pattern: /llama-?3\.[1-3]/i, contextWindow: 131072, maxOutputTokens: 4096, tokenizer: 'cl100k_base' },
+    { pattern: /llama-?3/i, contextWindow: 8192, maxOutputTokens: 4096, tokenizer: 'cl100k_base' },
+    { pattern: /mi[sx]tral|qwen/i, contextWindow: 32768, maxOutputTokens: 4096, tokenizer: 'cl100k_base' },
+    { pattern: /gemma|phi-?3/i, contextWindow: 8192, maxOutputTokens: 2048, tokenizer: 'cl100k_base' },
+    // Transformers.js models (see modelInfo.js) - GPT-2 models use the GPT-2 vocabulary
+    { pattern: /gpt2/i, contextWindow: 1024, maxOutputTokens: 256, systemMessages: false, tokenizer: 'gpt2' },
+    { pattern: /(^|[-_./])(flan-)?t5|distilbert/i, contextWindow: 512, maxOutputTokens: 256, systemMessages: false, tokenizer: 'cl100k_base' }
+];
+
+const DEFAULT_CAPABILITIES = {
+    systemMessages: true,
+    temperature: true,
+    reasoning: false,
+    streaming: true,
+    tokenizer: 'cl100k_base'
+};
+
+// Models the registry doesn't know get LLM_CONTEXT_WINDOW and LLM_MAX_OUTPUT_TOKENS
+function getModelCapabilities(model) {
+    const entry = MODEL_CAPABILITIES.find(candidate => candidate.pattern.test(model || ''));
+    if (!entry) {
+        return {
+            ...DEFAULT_CAPABILITIES,
+            contextWindow: llmConfig.contextWindow,
+            maxOutputTokens: llmConfig.maxOutputTokens,
+            known: false
+        };
+    }
+    
+    const { pattern, ...capabilities } = entry;
+    return { ...DEFAULT_CAPABILITIES, ...capabilities, known: true };
+}
+
+// Completion tokens to request - LLM_MAX_RESPONSE_TOKENS for the answer, more for reasoning models since
+// their hidden reasoning counts against the same limit. Never more than the model can produce.
+function getCompletionTokenLimit(capabilities, maxTokens = llmConfig.maxResponseTokens) {
+    const limit = capabilities.reasoning ? maxTokens * 5 : maxTokens;
+    return Math.min(limit, capabilities.maxOutputTokens);
+}
+
+module.exports = {
+    getModelCapabilities,
+    getCompletionTokenLimit
+};
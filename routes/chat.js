@@ -1,12 +1,106 @@
 const express = require('express');
 const router = express.Router();
-const { useLocalModel } = require('../config/environment');
-const { generateAzureOpenAIResponseWithRAG } = require('../services/ragService');
-const { generateLocalResponseWithRAG, getLocalModel, getModelError } = require('../models/localModels');
-const { getAzureOpenAIClient } = require('../models/azureOpenAI');
-const { logSuccess, logError } = require('../utils/logger');
+const { promptTemplate, answerMode: defaultAnswerMode } = require('../config/environment');
+const { generateResponseWithRAG, streamResponseWithRAG } = require('../services/ragService');
+const { getLlmProvider } = require('../models/llmProviders');
+const { getFallbackChain, getReadyProvider } = require('../models/llmFallback');
+const {
+    getOrCreateConversation,
+    getConversationHistory,
+    appendTurn,
+    getConversation,
+    deleteConversation,
+    buildStandaloneQuery
+} = require('../services/conversationService');
+const { getPromptTemplate } = require('../services/promptTemplates');
+const { ANSWER_MODES, groundedTemplateConflict } = require('../services/grounding');
+const { logSuccess, logWarning, logError } = require('../utils/logger');
+
+// Proxies in front of App Service drop idle connections, so streams send a comment every 15s
+const STREAM_HEARTBEAT_MS = 15000;
+
+// Conversation history - an unknown or missing ID starts a new conversation
+async function prepareConversation(message, useRAG, conversationId) {
+    const conversation = getOrCreateConversation(conversationId);
+    const history = getConversationHistory(conversation.id);
+    const standalone = useRAG
+        ? await buildStandaloneQuery(message, history)
+        : { query: message, method: 'none' };
+    
+    console.log('- Conversation:', conversation.id, `(${history.length} history messages)`);
+    if (standalone.method !== 'none') {
+        console.log('- Standalone query:', standalone.query);
+    }
+    
+    return {
+        conversation,
+        conversationMetadata: {
+            conversationId: conversation.id,
+            historyMessages: history.length,
+            retrievalQuery: standalone.query,
+            queryCondensing: standalone.method
+        },
+        generationOptions: { history, retrievalQuery: standalone.query }
+    };
+}
+
+// A request may name a prompt template - unknown names are refused before anything is generated
+async function templateError(template) {
+    if (template === undefined || template === null) return null;
+    
+    if (typeof template !== 'string' || !(await getPromptTemplate(template))) {
+        return {
+            error: 'Unknown prompt template',
+            details: 'template must name a prompt template - GET /api/templates lists them',
+            received: template,
+            timestamp: new Date().toISOString()
+        };
+    }
+    return null;
+}
+
+function answerModeError(answerMode) {
+    if (answerMode === undefined || answerMode === null || ANSWER_MODES.includes(answerMode)) return null;
+    
+    return {
+        error: 'Invalid answer mode',
+        details: `answerMode must be one of: ${ANSWER_MODES.join(', ')}`,
+        received: answerMode,
+        timestamp: new Date().toISOString()
+    };
+}
+
+// Grounded answers always use GROUNDED_PROMPT_TEMPLATE, so naming another template with them is refused
+function groundedTemplateError(template, answerMode) {
+    const conflict = groundedTemplateConflict(template, answerMode);
+    if (!conflict) return null;
+    
+    return {
+        error: 'Prompt template not allowed in grounded mode',
+        details: `${conflict} - leave template out, or set answerMode to "open"`,
+        received: template,
+        timestamp: new Date().toISOString()
+    };
+}
+
+// Marker bookkeeping reported alongside the citations array
+function citationMetadata(result) {
+    return {
+        citedMarkers: result.usedMarkers,
+        invalidMarkers: result.invalidMarkers,
+        passagesSupplied: result.citations.length
+    };
+}
+
+function wantsEventStream(req) {
+    return (req.get('Accept') || '').includes('text/event-stream');
+}
 
 router.post('/', async (req, res) => {
+    if (wantsEventStream(req)) {
+        return handleStreamingChat(req, res);
+    }
+    
     const startTime = Date.now();
     
     // Set response headers early for Azure App Service
@@ -28,8 +122,8 @@ router.post('/', async (req, res) => {
                 timestamp: new Date().toISOString()
             });
         }
-
-        const { message, useRAG = true, includeWebsiteContent = true } = req.body;
+        
+        const { message, useRAG = true, includeWebsiteContent = true, conversationId, template, answerMode } = req.body;
         
         if (!message || typeof message !== 'string' || !message.trim()) {
             logError('Invalid message');
@@ -40,149 +134,101 @@ router.post('/', async (req, res) => {
                 timestamp: new Date().toISOString()
             });
         }
-
-        // Check configuration
-        const localModelName = process.env.LOCAL_MODEL_NAME || 'distilgpt2';
+        
+        const invalidTemplate = await templateError(template);
+        if (invalidTemplate) {
+            logError(`Unknown prompt template: ${template}`);
+            return res.status(400).json(invalidTemplate);
+        }
+        
+        const invalidAnswerMode = answerModeError(answerMode);
+        if (invalidAnswerMode) {
+            logError(`Invalid answer mode: ${answerMode}`);
+            return res.status(400).json(invalidAnswerMode);
+        }
+        
+        const invalidGroundedTemplate = groundedTemplateError(template, answerMode);
+        if (invalidGroundedTemplate) {
+            logError(`Prompt template ${template} refused in grounded mode`);
+            return res.status(400).json(invalidGroundedTemplate);
+        }
+        
+        const provider = getLlmProvider();
         
         console.log('🔧 Configuration Check:');
-        console.log('- Use Local Model:', useLocalModel);
-        console.log('- Local Model Name:', localModelName);
+        console.log('- LLM Provider:', provider.name);
+        console.log('- Model:', provider.model || 'NOT SET');
+        console.log('- Fallback chain:', getFallbackChain().map(p => `${p.name}:${p.model}`).join(' → '));
         console.log('- Use RAG:', useRAG);
         console.log('- Include Website Content:', includeWebsiteContent);
-
-        if (useLocalModel) {
-            // Local model handling
-            console.log('🤖 Attempting local model response...');
+        console.log('- Prompt template:', template || promptTemplate);
+        console.log('- Answer mode:', answerMode || defaultAnswerMode);
+        
+        // Only refused when no provider in the chain is configured - unhealthy ones are skipped while generating
+        if (!getReadyProvider()) {
+            const { error } = provider.getStatus();
+            logError(`${provider.label} not available: ${error}`);
             
-            try {
-                const localModel = getLocalModel();
-                const modelError = getModelError();
-                
-                if (!localModel) {
-                    console.log('⚠️ Local model not available, returning basic response');
-                    return res.json({
-                        response: "I'm currently running in cloud mode. Local models are not available in this deployment. Please configure Azure OpenAI for full functionality.",
-                        metadata: {
-                            duration: Date.now() - startTime,
-                            model: 'fallback',
-                            modelType: 'fallback',
-                            timestamp: new Date().toISOString(),
-                            source: 'fallback-response',
-                            ragEnabled: false,
-                            note: modelError || 'Local models not available'
-                        }
-                    });
-                }
-                
-                const aiResponse = await generateLocalResponseWithRAG(
-                    message, 
-                    localModelName, 
-                    useRAG,
-                    includeWebsiteContent
-                );
-                
-                logSuccess('Local model response generated');
-                
-                return res.json({
-                    response: aiResponse,
-                    metadata: {
-                        duration: Date.now() - startTime,
-                        model: localModelName,
-                        modelType: 'local-transformers',
-                        timestamp: new Date().toISOString(),
-                        source: 'server-side-local',
-                        ragEnabled: useRAG,
-                        websiteContentIncluded: includeWebsiteContent
-                    }
-                });
-                
-            } catch (localError) {
-                logError(`Local model error: ${localError.message}`);
-                console.log('🔄 Falling back to Azure OpenAI...');
-                // Continue to Azure OpenAI fallback
-            }
+            return res.status(500).json({
+                error: `${provider.label} not available`,
+                details: error,
+                provider: provider.name,
+                troubleshooting: 'Check the LLM_PROVIDER settings in the environment or App Service Application Settings',
+                timestamp: new Date().toISOString()
+            });
         }
-
-        // Azure OpenAI handling
-        console.log('🌐 Using Azure OpenAI...');
+        
+        const { conversation, conversationMetadata, generationOptions } = await prepareConversation(message, useRAG, conversationId);
         
         try {
-            // Validate Azure OpenAI configuration
-            const endpoint = process.env.AZURE_OPENAI_ENDPOINT;
-            const apiKey = process.env.AZURE_OPENAI_KEY;
-            const deployment = process.env.AZURE_OPENAI_DEPLOYMENT;
-            
-            console.log('🔧 Azure OpenAI Config Check:');
-            console.log('- Endpoint:', endpoint ? `${endpoint.substring(0, 30)}...` : 'NOT SET');
-            console.log('- API Key:', apiKey ? `SET (${apiKey.length} chars)` : 'NOT SET');
-            console.log('- Deployment:', deployment || 'NOT SET');
-            
-            if (!endpoint || !apiKey || !deployment) {
-                const missing = [];
-                if (!endpoint) missing.push('AZURE_OPENAI_ENDPOINT');
-                if (!apiKey) missing.push('AZURE_OPENAI_KEY');
-                if (!deployment) missing.push('AZURE_OPENAI_DEPLOYMENT');
-                
-                logError(`Azure OpenAI configuration incomplete: ${missing.join(', ')}`);
-                
-                return res.status(500).json({
-                    error: 'Azure OpenAI not configured',
-                    details: `Missing configuration: ${missing.join(', ')}`,
-                    troubleshooting: 'Check Azure App Service Application Settings',
-                    timestamp: new Date().toISOString()
-                });
-            }
-            
-            const azureOpenAIClient = getAzureOpenAIClient();
-            if (!azureOpenAIClient) {
-                logError('Azure OpenAI client not available');
-                return res.status(500).json({
-                    error: 'Azure OpenAI client initialization failed',
-                    details: 'Unable to create Azure OpenAI client with provided credentials',
-                    timestamp: new Date().toISOString()
-                });
-            }
-            
-            console.log('📝 Generating Azure OpenAI response...');
+            console.log('📝 Generating response...');
             
-            const aiResponse = await generateAzureOpenAIResponseWithRAG(
+            const result = await generateResponseWithRAG(
                 message, 
                 useRAG,
-                includeWebsiteContent
+                includeWebsiteContent,
+                { ...generationOptions, template, answerMode }
             );
             
+            appendTurn(conversation.id, message, result.response);
             const duration = Date.now() - startTime;
             
             logSuccess(`Response generated in ${duration}ms`);
             
-            const successResponse = {
-                response: aiResponse,
+            return res.json({
+                response: result.response,
+                citations: result.citations,
+                suggestedPages: result.suggestedPages,
+                conversationId: conversation.id,
                 metadata: {
+                    ...conversationMetadata,
+                    citations: citationMetadata(result),
                     duration: duration,
-                    model: deployment,
-                    modelType: 'azure-openai',
+                    ...result.generation,
+                    modelType: result.generation.provider,
+                    tokenBudget: result.tokenBudget,
+                    promptTemplate: result.promptTemplate,
+                    grounding: result.grounding,
                     timestamp: new Date().toISOString(),
-                    source: 'azure-cloud',
                     ragEnabled: useRAG,
-                    websiteContentIncluded: includeWebsiteContent,
-                    endpoint: endpoint.split('.')[0] + '...' // Partially masked
+                    websiteContentIncluded: includeWebsiteContent
                 }
-            };
-            
-            return res.json(successResponse);
-            
-        } catch (azureError) {
-            logError(`Azure OpenAI error: ${azureError.message}`);
+            });
+        
+        } catch (generationError) {
+            logError(`${provider.label} error: ${generationError.message}`);
+            const failedProviders = generationError.failures || [];
             
             return res.status(500).json({
-                error: 'Azure OpenAI request failed',
-                details: azureError.message,
-                errorType: azureError.constructor.name,
-                statusCode: azureError.status || 'unknown',
+                error: failedProviders.length > 1 ? 'All LLM providers failed' : `${provider.label} request failed`,
+                details: generationError.message,
+                provider: provider.name,
+                failedProviders,
+                statusCode: generationError.status || 'unknown',
                 timestamp: new Date().toISOString()
             });
         }
-        
+    
     } catch (error) {
         const duration = Date.now() - startTime;
         
@@ -202,4 +248,195 @@ router.post('/', async (req, res) => {
     }
 });
 
+function sendEvent(res, event, data) {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+// Server-Sent Events: "start", then a "token" event per delta, then "done" with the full
+// response, citations and metadata - or "error" if generation fails part-way
+async function handleStreamingChat(req, res) {
+    const startTime = Date.now();
+    
+    console.log('\n=== STREAMING CHAT REQUEST START ===');
+    console.log('Timestamp:', new Date().toISOString());
+    
+    const { message, useRAG = true, includeWebsiteContent = true, conversationId, template, answerMode } = req.body || {};
+    
+    // Validation errors go out as plain JSON before the stream is opened
+    try {
+        if (!message || typeof message !== 'string' || !message.trim()) {
+            logError('Invalid message');
+            return res.status(400).json({
+                error: 'Message is required',
+                details: 'Message must be a non-empty string',
+                received: { message, type: typeof message },
+                timestamp: new Date().toISOString()
+            });
+        }
+        
+        const invalidTemplate = await templateError(template);
+        if (invalidTemplate) {
+            logError(`Unknown prompt template: ${template}`);
+            return res.status(400).json(invalidTemplate);
+        }
+        
+        const invalidAnswerMode = answerModeError(answerMode);
+        if (invalidAnswerMode) {
+            logError(`Invalid answer mode: ${answerMode}`);
+            return res.status(400).json(invalidAnswerMode);
+        }
+        
+        const invalidGroundedTemplate = groundedTemplateError(template, answerMode);
+        if (invalidGroundedTemplate) {
+            logError(`Prompt template ${template} refused in grounded mode`);
+            return res.status(400).json(invalidGroundedTemplate);
+        }
+        
+        const provider = getLlmProvider();
+        
+        if (!getReadyProvider()) {
+            logError('Streaming requested but no model is available');
+            return res.status(500).json({
+                error: 'No model available',
+                details: provider.getStatus().error,
+                provider: provider.name,
+                timestamp: new Date().toISOString()
+            });
+        }
+    } catch (error) {
+        // A template that can't be read must not leave the request hanging
+        logError(`Streaming chat error before the stream opened: ${error.message}`);
+        return res.status(500).json({
+            error: 'Internal server error',
+            details: error.message,
+            errorType: error.constructor.name,
+            timestamp: new Date().toISOString(),
+            duration: Date.now() - startTime
+        });
+    }
+    
+    res.status(200);
+    res.setHeader('Content-Type', 'text/event-stream');
+    res.setHeader('Cache-Control', 'no-cache');
+    res.setHeader('Connection', 'keep-alive');
+    res.setHeader('X-Accel-Buffering', 'no');
+    res.flushHeaders();
+    
+    // Stop generating as soon as the client goes away
+    const abortController = new AbortController();
+    const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), STREAM_HEARTBEAT_MS);
+    res.on('close', () => {
+        clearInterval(heartbeat);
+        if (!res.writableEnded) {
+            logWarning('Client disconnected - aborting streamed response');
+            abortController.abort();
+        }
+    });
+    
+    try {
+        const { conversation, conversationMetadata, generationOptions } = await prepareConversation(message, useRAG, conversationId);
+        sendEvent(res, 'start', { conversationId: conversation.id });
+        
+        let tokens = 0;
+        const result = await streamResponseWithRAG(message, {
+            useRAG,
+            includeWebsiteContent,
+            ...generationOptions,
+            template,
+            answerMode,
+            signal: abortController.signal,
+            onToken: (content) => {
+                if (abortController.signal.aborted) return;
+                tokens++;
+                sendEvent(res, 'token', { content });
+            }
+        });
+        
+        if (abortController.signal.aborted) return;
+        
+        appendTurn(conversation.id, message, result.response);
+        logSuccess(`Streamed response in ${Date.now() - startTime}ms (${tokens} deltas)`);
+        
+        sendEvent(res, 'done', {
+            response: result.response,
+            citations: result.citations,
+            suggestedPages: result.suggestedPages,
+            conversationId: conversation.id,
+            metadata: {
+                ...conversationMetadata,
+                citations: citationMetadata(result),
+                duration: Date.now() - startTime,
+                ...result.generation,
+                modelType: result.generation.provider,
+                tokenBudget: result.tokenBudget,
+                promptTemplate: result.promptTemplate,
+                grounding: result.grounding,
+                timestamp: new Date().toISOString(),
+                ragEnabled: useRAG,
+                websiteContentIncluded: includeWebsiteContent,
+                streamed: true,
+                deltas: tokens
+            }
+        });
+    } catch (error) {
+        if (error.name === 'AbortError' || abortController.signal.aborted) {
+            console.log('🛑 Streamed response aborted');
+            return;
+        }
+        
+        logError(`Streaming chat error: ${error.message}`);
+        sendEvent(res, 'error', {
+            error: 'Streaming response failed',
+            details: error.message,
+            failedProviders: error.failures || [],
+            timestamp: new Date().toISOString()
+        });
+    } finally {
+        clearInterval(heartbeat);
+        if (!res.writableEnded) {
+            res.end();
+        }
+        console.log('=== STREAMING CHAT REQUEST END ===\n');
+    }
+}
+
+router.post('/stream', handleStreamingChat);
+
+// Conversation history kept on the server
+router.get('/conversations/:id', (req, res) => {
+    const conversation = getConversation(req.params.id);
+    
+    if (!conversation) {
+        return res.status(404).json({
+            error: 'Conversation not found',
+            details: 'The conversation does not exist or has expired',
+            id: req.params.id,
+            timestamp: new Date().toISOString()
+        });
+    }
+    
+    res.json({
+        conversation,
+        timestamp: new Date().toISOString()
+    });
+});
+
+router.delete('/conversations/:id', (req, res) => {
+    if (!deleteConversation(req.params.id)) {
+        return res.status(404).json({
+            error: 'Conversation not found',
+            id: req.params.id,
+            timestamp: new Date().toISOString()
+        });
+    }
+    
+    logSuccess(`Conversation ${req.params.id} deleted`);
+    res.json({
+        success: true,
+        message: 'Conversation deleted',
+        id: req.params.id,
+        timestamp: new Date().toISOString()
+    });
+});
+
 module.exports = router;
\ No newline at end of file
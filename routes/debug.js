@@ -1,8 +1,13 @@
 const express = require('express');
 const router = express.Router();
 const { getLocalModel, getModelLoading, getModelError } = require('../models/localModels');
-const { getAzureOpenAIClient } = require('../models/azureOpenAI');
+const { getLlmProvider } = require('../models/llmProviders');
+const { getFallbackStatus } = require('../models/llmFallback');
 const { getDocumentStore, getDocumentEmbeddings, getEmbedder } = require('../services/ragService');
+const { getStorageStatus } = require('../services/indexStorage');
+const { getLexicalIndexStats } = require('../services/lexicalIndex');
+const { getVectorIndexStats } = require('../services/vectorIndex');
+const { getConversationStats } = require('../services/conversationService');
 const { detectBaseUrl } = require('../utils/urlUtils');
 
 // Add this to the top of your debug routes to ensure proper error handling
@@ -17,12 +22,13 @@ router.get('/health', (req, res) => {
     const modelLoading = getModelLoading();
     const modelError = getModelError();
     const embedder = getEmbedder();
-    const azureOpenAIClient = getAzureOpenAIClient();
+    const llmProvider = getLlmProvider();
     const documentStore = getDocumentStore();
     const documentEmbeddings = getDocumentEmbeddings();
     
     const config = {
         useLocalModel: process.env.USE_LOCAL_MODEL === 'true',
+        llmProvider: llmProvider.name,
         localModelName: process.env.LOCAL_MODEL_NAME || 'distilgpt2',
         azureOpenAIConfigured: !!(process.env.AZURE_OPENAI_ENDPOINT && process.env.AZURE_OPENAI_KEY && process.env.AZURE_OPENAI_DEPLOYMENT),
         azureOpenAIDeployment: process.env.AZURE_OPENAI_DEPLOYMENT || 'not set',
@@ -39,13 +45,23 @@ router.get('/health', (req, res) => {
             modelLoading,
             modelError,
             embedder: !!embedder,
-            azureOpenAI: !!azureOpenAIClient
+            embeddingModel: embedder ? embedder.modelId : null,
+            llm: { ...llmProvider.getStatus(), fallbackChain: getFallbackStatus() }
         },
         rag: {
             documents: documentStore.length,
             chunks: documentEmbeddings.length,
-            websitePages: documentEmbeddings.filter(d => d.type === 'website').length
-        }
+            websitePages: documentEmbeddings.filter(d => d.type === 'website').length,
+            embeddingModels: documentEmbeddings.reduce((counts, d) => {
+                const model = d.embedding ? (d.embeddingModel || 'legacy') : 'none';
+                counts[model] = (counts[model] || 0) + 1;
+                return counts;
+            }, {}),
+            storage: getStorageStatus(),
+            lexicalIndex: getLexicalIndexStats(),
+            vectorIndex: getVectorIndexStats()
+        },
+        conversations: getConversationStats()
     });
 });
 
@@ -67,7 +83,7 @@ router.get('/env', (req, res) => {
         
         console.log('Returning environment debug info:', debugInfo);
         res.json(debugInfo);
-        
+    
     } catch (error) {
         console.error('Error in /env endpoint:', error);
         res.status(500).json({
@@ -81,7 +97,7 @@ router.get('/env', (req, res) => {
 // Azure configuration debug endpoint
 router.get('/azure-config', (req, res) => {
     const isAzureAppService = process.env.WEBSITE_SITE_NAME || process.env.APPSETTING_WEBSITE_SITE_NAME;
-    const azureOpenAIClient = getAzureOpenAIClient();
+    const llmProvider = getLlmProvider();
     
     res.json({
         environment: {
@@ -98,8 +114,8 @@ router.get('/azure-config', (req, res) => {
             useLocalModel: process.env.USE_LOCAL_MODEL || 'NOT SET'
         },
         clientStatus: {
-            initialized: !!azureOpenAIClient,
-            clientType: azureOpenAIClient ? typeof azureOpenAIClient : 'null'
+            activeProvider: llmProvider.name,
+            initialized: llmProvider.name === 'azure-openai' && llmProvider.isReady()
         },
         allAzureEnvKeys: Object.keys(process.env).filter(key => key.includes('AZURE')).sort(),
         configStatus: {
@@ -0,0 +1,195 @@
+const express = require('express');
+const router = express.Router();
+const { upload } = require('../config/multer');
+const { processDocument, reindexDocument, deleteDocumentFile } = require('../services/documentService');
+const { reindexWebsitePage } = require('../services/crawling');
+const { getSources, getSourceChunks, removeSource } = require('../services/ragService');
+const { logSuccess, logError } = require('../utils/logger');
+
+// Upload and index one or more documents
+router.post('/upload', (req, res) => {
+    console.log('\n=== DOCUMENT UPLOAD REQUEST ===');
+    
+    upload.array('files', 10)(req, res, async (uploadError) => {
+        if (uploadError) {
+            logError(`Upload rejected: ${uploadError.message}`);
+            return res.status(400).json({
+                error: 'Upload failed',
+                details: uploadError.message,
+                timestamp: new Date().toISOString()
+            });
+        }
+        
+        const files = req.files || [];
+        
+        if (files.length === 0) {
+            return res.status(400).json({
+                error: 'No files uploaded',
+                details: 'Send one or more files in the "files" form field',
+                timestamp: new Date().toISOString()
+            });
+        }
+        
+        const documents = [];
+        const errors = [];
+        
+        for (const file of files) {
+            try {
+                documents.push(await processDocument(file));
+            } catch (error) {
+                logError(`Failed to process ${file.originalname}: ${error.message}`);
+                await deleteDocumentFile({ filePath: file.path });
+                errors.push({
+                    filename: file.originalname,
+                    error: error.message
+                });
+            }
+        }
+        
+        if (documents.length === 0) {
+            return res.status(422).json({
+                error: 'No documents could be indexed',
+                errors,
+                timestamp: new Date().toISOString()
+            });
+        }
+        
+        logSuccess(`Indexed ${documents.length} of ${files.length} uploaded document(s)`);
+        
+        res.json({
+            success: true,
+            message: `Indexed ${documents.length} of ${files.length} document(s)`,
+            documents: documents.map(doc => ({
+                id: doc.id,
+                filename: doc.filename,
+                chunks: doc.chunks,
+                totalLength: doc.totalLength,
+                uploadedAt: doc.uploadedAt,
+                note: doc.note
+            })),
+            errors,
+            timestamp: new Date().toISOString()
+        });
+    });
+});
+
+// List every indexed source (uploaded file or crawled URL)
+router.get('/', (req, res) => {
+    const { type } = req.query;
+    let sources = getSources();
+    
+    if (type) {
+        sources = sources.filter(source => source.type === type);
+    }
+    
+    res.json({
+        sources,
+        total: sources.length,
+        totalChunks: sources.reduce((sum, source) => sum + source.chunks, 0),
+        timestamp: new Date().toISOString()
+    });
+});
+
+// Show a single source and its chunks
+router.get('/:id', (req, res) => {
+    const source = getSources().find(s => s.id === req.params.id);
+    
+    if (!source) {
+        return res.status(404).json({
+            error: 'Source not found',
+            id: req.params.id,
+            timestamp: new Date().toISOString()
+        });
+    }
+    
+    const chunks = getSourceChunks(source.id).map(doc => ({
+        chunkIndex: doc.chunkIndex,
+        chunk: doc.chunk,
+        length: doc.chunk.length,
+        hasEmbedding: !!doc.embedding
+    }));
+    
+    res.json({
+        source,
+        chunks,
+        timestamp: new Date().toISOString()
+    });
+});
+
+// Remove a single source and all of its chunks
+router.delete('/:id', async (req, res) => {
+    const source = getSources().find(s => s.id === req.params.id);
+    
+    if (!source) {
+        return res.status(404).json({
+            error: 'Source not found',
+            id: req.params.id,
+            timestamp: new Date().toISOString()
+        });
+    }
+    
+    try {
+        const { removedChunks, storeEntry } = removeSource(source.id);
+        
+        if (storeEntry && storeEntry.type === 'document') {
+            await deleteDocumentFile(storeEntry);
+        }
+        
+        logSuccess(`Removed source ${source.title} (${removedChunks} chunks)`);
+        
+        res.json({
+            success: true,
+            message: `Removed ${source.title}`,
+            source,
+            removedChunks,
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        logError(`Failed to remove ${source.title}: ${error.message}`);
+        res.status(500).json({
+            error: 'Failed to remove source',
+            details: error.message,
+            id: source.id,
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// Re-parse (file) or re-fetch (URL) a single source
+router.post('/:id/reindex', async (req, res) => {
+    const source = getSources().find(s => s.id === req.params.id);
+    
+    if (!source) {
+        return res.status(404).json({
+            error: 'Source not found',
+            id: req.params.id,
+            timestamp: new Date().toISOString()
+        });
+    }
+    
+    try {
+        const result = source.type === 'website'
+            ? await reindexWebsitePage(source.url)
+            : await reindexDocument(source.id);
+        
+        res.json({
+            success: true,
+            message: `Re-indexed ${source.title}`,
+            id: source.id,
+            type: source.type,
+            chunks: result.chunks,
+            timestamp: new Date().toISOString()
+        });
+    
+    } catch (error) {
+        logError(`Re-index failed for ${source.title}: ${error.message}`);
+        res.status(error.blocked ? 403 : 500).json({
+            error: 'Re-index failed',
+            details: error.message,
+            id: source.id,
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+module.exports = router;
@@ -1,7 +1,8 @@
 const express = require('express');
 const router = express.Router();
 const { initializeLocalModel, getLocalModel, getModelLoading, getModelError } = require('../models/localModels');
-const { initializeAzureOpenAI, generateAzureOpenAIResponse, getAzureOpenAIClient } = require('../models/azureOpenAI');
+const { getLlmProvider, createLlmProvider, getAvailableLlmProviders } = require('../models/llmProviders');
+const { getFallbackStatus } = require('../models/llmFallback');
 const { getLocalModelInfo } = require('../models/modelInfo');
 const { getEmbedder } = require('../services/ragService');
 const { logSuccess, logError } = require('../utils/logger');
@@ -59,9 +60,17 @@ router.get('/status', (req, res) => {
             error: modelError,
             info: getLocalModelInfo(modelName)
         },
+        llm: {
+            ...getLlmProvider().getStatus(),
+            capabilities: getLlmProvider().capabilities,
+            available: getAvailableLlmProviders(),
+            fallbackChain: getFallbackStatus()
+        },
         embedder: {
             loaded: !!embedder,
-            status: embedder ? 'ready' : 'not initialized'
+            status: embedder ? 'ready' : 'not initialized',
+            provider: embedder ? embedder.name : null,
+            model: embedder ? embedder.modelId : null
         },
         memory: process.memoryUsage(),
         timestamp: new Date().toISOString()
@@ -100,65 +109,55 @@ router.post('/test-download', async (req, res) => {
     }
 });
 
-// Test Azure OpenAI connection
-router.post('/azure-openai/test', async (req, res) => {
+// Send a short test message through an LLM provider
+async function testProvider(provider, req, res) {
     try {
-        console.log('Testing Azure OpenAI connection...');
-        
-        const endpoint = process.env.AZURE_OPENAI_ENDPOINT;
-        const apiKey = process.env.AZURE_OPENAI_KEY;
-        const deployment = process.env.AZURE_OPENAI_DEPLOYMENT;
+        console.log(`Testing ${provider.label} connection...`);
         
-        if (!endpoint || !apiKey || !deployment) {
+        if (!provider.isReady()) {
             return res.status(500).json({
                 success: false,
-                error: 'Azure OpenAI not configured',
-                details: 'Missing credentials or configuration',
-                missing: [
-                    !endpoint && 'AZURE_OPENAI_ENDPOINT',
-                    !apiKey && 'AZURE_OPENAI_KEY',
-                    !deployment && 'AZURE_OPENAI_DEPLOYMENT'
-                ].filter(Boolean)
+                error: `${provider.label} not available`,
+                details: provider.getStatus().error,
+                provider: provider.name
             });
         }
         
-        let azureOpenAIClient = getAzureOpenAIClient();
-        if (!azureOpenAIClient) {
-            azureOpenAIClient = initializeAzureOpenAI();
-            if (!azureOpenAIClient) {
-                return res.status(500).json({
-                    success: false,
-                    error: 'Failed to initialize Azure OpenAI client',
-                    details: 'Client initialization failed'
-                });
-            }
-        }
-        
         const testMessage = req.body.message || "Hello, this is a test message. Please respond briefly.";
+        const response = await provider.generate([{ role: "user", content: testMessage }]);
         
-        const response = await generateAzureOpenAIResponse(testMessage);
-        
-        logSuccess('Azure OpenAI connection test successful');
+        logSuccess(`${provider.label} connection test successful`);
         
         res.json({
             success: true,
-            message: 'Azure OpenAI connection successful',
-            deployment: deployment,
+            message: `${provider.label} connection successful`,
+            provider: provider.name,
+            model: provider.model,
             testResponse: response,
             timestamp: new Date().toISOString()
         });
         
     } catch (error) {
-        logError(`Azure OpenAI test failed: ${error.message}`);
+        logError(`${provider.label} test failed: ${error.message}`);
         res.status(500).json({
             success: false,
-            error: 'Azure OpenAI test failed',
+            error: `${provider.label} test failed`,
             details: error.message,
-            deployment: process.env.AZURE_OPENAI_DEPLOYMENT,
+            provider: provider.name,
+            model: provider.model,
             statusCode: error.status || 'unknown',
             errorCode: error.code || 'unknown'
         });
     }
+}
+
+// Test the configured provider (LLM_PROVIDER)
+router.post('/llm/test', (req, res) => testProvider(getLlmProvider(), req, res));
+
+// Test Azure OpenAI connection, whichever provider is configured
+router.post('/azure-openai/test', (req, res) => {
+    const provider = getLlmProvider();
+    testProvider(provider.name === 'azure-openai' ? provider : createLlmProvider('azure-openai'), req, res);
 });
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,109 @@
+const express = require('express');
+const router = express.Router();
+const { retrieveChunks } = require('../services/ragService');
+const { highlightSnippet } = require('../utils/textUtils');
+const { logError } = require('../utils/logger');
+
+const SOURCE_TYPES = ['website', 'document'];
+const DEFAULT_PAGE_SIZE = 10;
+const MAX_PAGE_SIZE = 50;
+const MAX_RESULTS = 200;
+
+// Restrict retrieval to one source type and/or URLs under a prefix
+function buildSearchFilter({ type, urlPrefix }) {
+    if (!type && !urlPrefix) return null;
+    
+    return (doc) => {
+        if (type && (doc.type || 'document') !== type) return false;
+        if (urlPrefix && !(doc.url && doc.url.startsWith(urlPrefix))) return false;
+        return true;
+    };
+}
+
+// GET reads the query string, POST reads the JSON body - both accept the same parameters
+async function handleSearch(req, res) {
+    const params = req.method === 'GET' ? req.query : (req.body || {});
+    const query = (params.q || params.query || '').toString().trim();
+    const type = params.type || null;
+    const urlPrefix = params.urlPrefix || null;
+    const page = Math.max(1, parseInt(params.page) || 1);
+    const pageSize = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(params.pageSize) || DEFAULT_PAGE_SIZE));
+    
+    if (!query) {
+        return res.status(400).json({
+            error: 'Query is required',
+            details: 'Provide the search text as "q" (or "query")',
+            timestamp: new Date().toISOString()
+        });
+    }
+    
+    if (type && !SOURCE_TYPES.includes(type)) {
+        return res.status(400).json({
+            error: 'Invalid source type',
+            details: `type must be one of: ${SOURCE_TYPES.join(', ')}`,
+            timestamp: new Date().toISOString()
+        });
+    }
+    
+    const offset = (page - 1) * pageSize;
+    if (offset >= MAX_RESULTS) {
+        return res.status(400).json({
+            error: 'Page out of range',
+            details: `Only the first ${MAX_RESULTS} results can be paged through`,
+            timestamp: new Date().toISOString()
+        });
+    }
+    
+    try {
+        const startTime = Date.now();
+        
+        // Fetch one extra result so we know whether another page exists
+        const limit = Math.min(offset + pageSize + 1, MAX_RESULTS);
+        const ranked = await retrieveChunks(query, {
+            topK: limit,
+            filter: buildSearchFilter({ type, urlPrefix })
+        });
+        
+        const results = ranked.slice(offset, offset + pageSize).map((result, i) => ({
+            rank: offset + i + 1,
+            score: result.score,
+            similarity: result.similarity,
+            lexicalScore: result.lexicalScore,
+            retrieval: result.retrieval,
+            source: result.source,
+            sourceId: result.sourceId,
+            type: result.type,
+            url: result.url,
+            referrerUrl: result.referrerUrl,
+            deepLink: result.deepLink,
+            headingPath: result.headingPath,
+            title: result.title,
+            chunkIndex: result.chunkIndex,
+            snippet: highlightSnippet(result.chunk, query)
+        }));
+        
+        res.json({
+            query,
+            results,
+            page,
+            pageSize,
+            hasMore: ranked.length > offset + pageSize,
+            filters: { type, urlPrefix },
+            searchTime: Date.now() - startTime,
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        logError(`Search failed: ${error.message}`);
+        res.status(500).json({
+            error: 'Search failed',
+            details: error.message,
+            timestamp: new Date().toISOString()
+        });
+    }
+}
+
+// Ranked retrieval results without any generation
+router.get('/', handleSearch);
+router.post('/', handleSearch);
+
+module.exports = router;
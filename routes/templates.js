@@ -0,0 +1,151 @@
+const express = require('express');
+const router = express.Router();
+const { promptTemplate: defaultTemplateName, groundedPromptTemplate } = require('../config/environment');
+const {
+    VARIABLES,
+    listPromptTemplates,
+    getPromptTemplate,
+    validatePromptTemplate,
+    previewPromptTemplate,
+    savePromptTemplate,
+    deletePromptTemplate
+} = require('../services/promptTemplates');
+const { logError } = require('../utils/logger');
+
+// Every loaded template, with the variables templates may use
+router.get('/', async (req, res) => {
+    try {
+        const templates = await listPromptTemplates();
+        
+        res.json({
+            templates,
+            defaultTemplate: defaultTemplateName,
+            variables: VARIABLES,
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        logError(`Failed to list prompt templates: ${error.message}`);
+        res.status(500).json({
+            error: 'Failed to list prompt templates',
+            details: error.message,
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// Check a template without saving it - valid templates come back with the messages they produce for a sample question
+router.post('/validate', (req, res) => {
+    const validation = validatePromptTemplate(req.body);
+    
+    res.json({
+        ...validation,
+        preview: validation.valid ? previewPromptTemplate(req.body) : null,
+        timestamp: new Date().toISOString()
+    });
+});
+
+router.get('/:name', async (req, res) => {
+    try {
+        const template = await getPromptTemplate(req.params.name);
+        
+        if (!template) {
+            return res.status(404).json({
+                error: 'Prompt template not found',
+                name: req.params.name,
+                timestamp: new Date().toISOString()
+            });
+        }
+        
+        res.json({
+            template,
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        logError(`Failed to load prompt template ${req.params.name}: ${error.message}`);
+        res.status(500).json({
+            error: 'Failed to load prompt template',
+            details: error.message,
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// Create or replace a template - it is validated first and used by the next chat request
+router.put('/:name', async (req, res) => {
+    try {
+        const template = await savePromptTemplate(req.params.name, req.body);
+        
+        res.json({
+            success: true,
+            message: `Saved prompt template ${template.name}`,
+            template,
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        if (error.name === 'TemplateValidationError') {
+            return res.status(400).json({
+                error: 'Invalid prompt template',
+                details: error.message,
+                errors: error.errors,
+                timestamp: new Date().toISOString()
+            });
+        }
+        
+        logError(`Failed to save prompt template ${req.params.name}: ${error.message}`);
+        res.status(500).json({
+            error: 'Failed to save prompt template',
+            details: error.message,
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// Deletes a saved template - deleting one that overrides a built-in template reverts to the built-in version
+router.delete('/:name', async (req, res) => {
+    try {
+        const template = await getPromptTemplate(req.params.name);
+        const inUse = req.params.name === defaultTemplateName || req.params.name === groundedPromptTemplate;
+        
+        // A template the deployment depends on may only go when a built-in version takes its place
+        if (inUse && template && !(template.source === 'saved' && template.builtIn)) {
+            return res.status(409).json({
+                error: 'Prompt template in use',
+                details: `${req.params.name} is this deployment's ${req.params.name === defaultTemplateName ? 'PROMPT_TEMPLATE' : 'GROUNDED_PROMPT_TEMPLATE'}`,
+                timestamp: new Date().toISOString()
+            });
+        }
+        
+        if (!(await deletePromptTemplate(req.params.name))) {
+            return res.status(404).json({
+                error: 'Prompt template not found',
+                name: req.params.name,
+                timestamp: new Date().toISOString()
+            });
+        }
+        
+        res.json({
+            success: true,
+            message: template.builtIn
+                ? `Deleted saved prompt template ${req.params.name} - the built-in version is used again`
+                : `Deleted prompt template ${req.params.name}`,
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        if (error.name === 'BuiltInTemplateError') {
+            return res.status(409).json({
+                error: 'Built-in prompt template',
+                details: error.message,
+                timestamp: new Date().toISOString()
+            });
+        }
+        
+        logError(`Failed to delete prompt template ${req.params.name}: ${error.message}`);
+        res.status(500).json({
+            error: 'Failed to delete prompt template',
+            details: error.message,
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+module.exports = router;
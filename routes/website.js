@@ -1,12 +1,25 @@
 const express = require('express');
 const router = express.Router();
-const { crawlAndIndexWebsite, getWebsiteCrawlData } = require('../services/crawling');
+const {
+    createCrawlJob,
+    cancelCrawlJob,
+    findActiveCrawlJob,
+    listCrawlJobs,
+    getCrawlSummary,
+    getCrawlJob
+} = require('../services/crawlJobService');
 const { getDocumentEmbeddings } = require('../services/ragService');
+const { createCrawlScope, parsePatternList } = require('../services/crawlScope');
+const { checkUrl } = require('../services/fetchPolicy');
 const { detectBaseUrl } = require('../utils/urlUtils');
-const { websiteMaxPages, websiteCrawlDelay } = require('../config/environment');
+const { websiteMaxPages, websiteCrawlDelay, websiteCrawlConcurrency, websiteUseSitemaps, websiteIncludeDocuments } = require('../config/environment');
 const { logSuccess, logError } = require('../utils/logger');
 
-// Manual website crawl
+const MAX_CONCURRENCY = 16;
+const MAX_PAGES = 1000;
+const MAX_CRAWL_DELAY_MS = 60000;
+
+// Manual website crawl - queued as a job, poll /api/website/jobs/:id for progress
 router.post('/crawl', async (req, res) => {
     console.log('\n=== WEBSITE CRAWL REQUEST ===');
     
@@ -16,7 +29,16 @@ router.post('/crawl', async (req, res) => {
             maxPages = 20, 
             respectRobots = true, 
             includeExternalLinks = false,
-            crawlDelay = 1000 
+            crawlDelay = 1000,
+            concurrency = websiteCrawlConcurrency,
+            useSitemaps = websiteUseSitemaps,
+            includeDocuments = websiteIncludeDocuments,
+            includePatterns = [],
+            excludePatterns = [],
+            pathPrefix = null,
+            maxDepth = null,
+            respectCanonical = true,
+            incremental = true
         } = req.body;
         
         if (!baseUrl) {
@@ -26,42 +48,103 @@ router.post('/crawl', async (req, res) => {
             });
         }
         
-        const websiteCrawlData = getWebsiteCrawlData();
-        if (websiteCrawlData.crawlInProgress) {
+        // Validate URL
+        try {
+            new URL(baseUrl);
+        } catch (error) {
+            return res.status(400).json({
+                error: 'Invalid URL',
+                details: 'Please provide a valid HTTP(S) URL'
+            });
+        }
+        
+        const activeJob = findActiveCrawlJob(baseUrl);
+        if (activeJob) {
             return res.status(409).json({
                 error: 'Crawl already in progress',
-                details: 'Please wait for the current crawl to complete'
+                details: `Job ${activeJob.id} is already ${activeJob.status} for this URL`,
+                jobId: activeJob.id,
+                statusUrl: `/api/website/jobs/${activeJob.id}`
+            });
+        }
+        
+        if (!Number.isInteger(concurrency) || concurrency < 1 || concurrency > MAX_CONCURRENCY) {
+            return res.status(400).json({
+                error: 'Invalid concurrency',
+                details: `concurrency must be a whole number from 1 to ${MAX_CONCURRENCY}`
+            });
+        }
+        
+        if (!Number.isInteger(maxPages) || maxPages < 1 || maxPages > MAX_PAGES) {
+            return res.status(400).json({
+                error: 'Invalid maxPages',
+                details: `maxPages must be a whole number from 1 to ${MAX_PAGES}`
+            });
+        }
+        
+        if (!Number.isInteger(crawlDelay) || crawlDelay < 0 || crawlDelay > MAX_CRAWL_DELAY_MS) {
+            return res.status(400).json({
+                error: 'Invalid crawlDelay',
+                details: `crawlDelay must be a whole number of milliseconds from 0 to ${MAX_CRAWL_DELAY_MS}`
+            });
+        }
+        
+        if (maxDepth !== null && (!Number.isInteger(maxDepth) || maxDepth < 0)) {
+            return res.status(400).json({
+                error: 'Invalid maxDepth',
+                details: 'maxDepth must be a whole number of links from the start URL, 0 or more'
             });
         }
         
-        // Validate URL
         try {
-            new URL(baseUrl);
+            createCrawlScope(baseUrl, { includePatterns, excludePatterns, pathPrefix });
         } catch (error) {
             return res.status(400).json({
-                error: 'Invalid URL',
-                details: 'Please provide a valid HTTP(S) URL'
+                error: 'Invalid crawl scope',
+                details: error.message
             });
         }
         
-        // Start crawling (don't await - return immediately)
-        crawlAndIndexWebsite(baseUrl, {
+        // Refuse start URLs the fetch policy would block; other failures (DNS...) surface in the job's errors
+        try {
+            await checkUrl(baseUrl);
+        } catch (error) {
+            if (error.blocked) {
+                return res.status(403).json({
+                    error: 'URL not allowed',
+                    details: error.message,
+                    reason: error.reason
+                });
+            }
+        }
+        
+        const options = {
             maxPages,
             respectRobots,
             includeExternalLinks,
-            crawlDelay
-        }).catch(error => {
-            logError(`Website crawl failed: ${error.message}`);
-        });
+            crawlDelay,
+            concurrency,
+            useSitemaps,
+            includeDocuments,
+            includePatterns: parsePatternList(includePatterns),
+            excludePatterns: parsePatternList(excludePatterns),
+            pathPrefix: pathPrefix || null,
+            maxDepth,
+            respectCanonical,
+            incremental
+        };
+        const job = createCrawlJob(baseUrl, options, 'manual');
         
-        logSuccess(`Website crawl started for: ${baseUrl}`);
+        logSuccess(`Website crawl job ${job.id} ${job.status} for: ${baseUrl}`);
         
-        res.json({
+        res.status(202).json({
             success: true,
-            message: 'Website crawl started',
+            message: job.status === 'queued' ? 'Website crawl queued' : 'Website crawl started',
+            jobId: job.id,
+            statusUrl: `/api/website/jobs/${job.id}`,
             baseUrl: baseUrl,
-            options: { maxPages, respectRobots, includeExternalLinks, crawlDelay },
-            status: 'in-progress'
+            options,
+            status: job.status
         });
         
     } catch (error) {
@@ -73,41 +156,42 @@ router.post('/crawl', async (req, res) => {
     }
 });
 
-// Auto-crawl current website (POST endpoint)
-router.post('/auto-crawl', async (req, res) => {
+// Auto-crawl current website - shared by the POST and GET endpoints
+function startAutoCrawl(req, res) {
     try {
         const baseUrl = detectBaseUrl();
         
         console.log(`Auto-crawl starting for: ${baseUrl}`);
         
-        const websiteCrawlData = getWebsiteCrawlData();
-        if (websiteCrawlData.crawlInProgress) {
+        const activeJob = findActiveCrawlJob(baseUrl);
+        if (activeJob) {
             return res.json({
                 success: false,
                 message: 'Auto-crawl already in progress',
-                status: 'in-progress',
+                status: activeJob.status,
+                jobId: activeJob.id,
                 baseUrl: baseUrl,
-                crawledPages: websiteCrawlData.crawledPages
+                crawledPages: activeJob.progress.pagesDone
             });
         }
         
-        // Start auto-crawl
-        crawlAndIndexWebsite(baseUrl, {
+        const job = createCrawlJob(baseUrl, {
             maxPages: websiteMaxPages,
             respectRobots: false, // Skip robots.txt for own site
             includeExternalLinks: false,
             crawlDelay: websiteCrawlDelay
-        }).catch(error => {
-            logError(`Auto-crawl failed: ${error.message}`);
-        });
+        }, 'auto');
         
-        logSuccess(`Auto-crawl started for: ${baseUrl}`);
+        logSuccess(`Auto-crawl job ${job.id} ${job.status} for: ${baseUrl}`);
         
         res.json({
             success: true,
             message: 'Auto-crawl started for current website',
+            jobId: job.id,
+            status: job.status,
             baseUrl: baseUrl,
-            environment: process.env.WEBSITE_SITE_NAME ? 'Azure App Service' : 'Local'
+            environment: process.env.WEBSITE_SITE_NAME ? 'Azure App Service' : 'Local',
+            tip: `Check progress at /api/website/jobs/${job.id}`
         });
         
     } catch (error) {
@@ -117,56 +201,70 @@ router.post('/auto-crawl', async (req, res) => {
             details: error.message
         });
     }
+}
+
+router.post('/auto-crawl', startAutoCrawl);
+router.get('/auto-crawl', startAutoCrawl);
+
+// Crawl job history, newest first
+router.get('/jobs', (req, res) => {
+    res.json({
+        jobs: listCrawlJobs(),
+        timestamp: new Date().toISOString()
+    });
 });
 
-// Auto-crawl current website (GET endpoint)
-router.get('/auto-crawl', async (req, res) => {
-    try {
-        const baseUrl = detectBaseUrl();
-        
-        const websiteCrawlData = getWebsiteCrawlData();
-        if (websiteCrawlData.crawlInProgress) {
-            return res.json({
-                success: false,
-                message: 'Auto-crawl already in progress',
-                status: 'in-progress',
-                baseUrl: baseUrl,
-                crawledPages: websiteCrawlData.crawledPages
-            });
-        }
-        
-        // Start auto-crawl
-        crawlAndIndexWebsite(baseUrl, {
-            maxPages: websiteMaxPages,
-            respectRobots: false, // Skip robots.txt for own site
-            includeExternalLinks: false,
-            crawlDelay: websiteCrawlDelay
-        }).catch(error => {
-            logError(`Auto-crawl failed: ${error.message}`);
+// One job with its live progress: current URL, pages done and errors
+router.get('/jobs/:id', (req, res) => {
+    const job = getCrawlJob(req.params.id);
+    
+    if (!job) {
+        return res.status(404).json({
+            error: 'Crawl job not found',
+            id: req.params.id,
+            timestamp: new Date().toISOString()
         });
-        
-        logSuccess(`Auto-crawl started for: ${baseUrl}`);
-        
-        res.json({
-            success: true,
-            message: 'Auto-crawl started for current website',
-            baseUrl: baseUrl,
-            environment: process.env.WEBSITE_SITE_NAME ? 'Azure App Service' : 'Local',
-            tip: 'Check status at /api/website/status'
+    }
+    
+    res.json({
+        ...job,
+        timestamp: new Date().toISOString()
+    });
+});
+
+// Cancel a queued or running job - a running crawl stops before its next page and leaves the index unchanged
+router.delete('/jobs/:id', (req, res) => {
+    const job = cancelCrawlJob(req.params.id);
+    
+    if (!job) {
+        return res.status(404).json({
+            error: 'Crawl job not found',
+            id: req.params.id,
+            timestamp: new Date().toISOString()
         });
-        
-    } catch (error) {
-        logError(`Failed to start auto-crawl: ${error.message}`);
-        res.status(500).json({
-            error: 'Failed to start auto-crawl',
-            details: error.message
+    }
+    
+    if (!job.cancelRequested) {
+        return res.status(409).json({
+            error: 'Crawl job already finished',
+            details: `Job ${job.id} is ${job.status}`,
+            id: job.id,
+            timestamp: new Date().toISOString()
         });
     }
+    
+    res.status(job.status === 'cancelled' ? 200 : 202).json({
+        success: true,
+        message: job.status === 'cancelled' ? 'Crawl job cancelled' : 'Crawl job cancelling',
+        id: job.id,
+        status: job.status,
+        timestamp: new Date().toISOString()
+    });
 });
 
 // Get website crawl status
 router.get('/status', (req, res) => {
-    const websiteCrawlData = getWebsiteCrawlData();
+    const websiteCrawlData = getCrawlSummary();
     const documentEmbeddings = getDocumentEmbeddings();
     
     res.json({
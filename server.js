@@ -16,6 +16,9 @@ const chatRoutes = require('./routes/chat');
 const websiteRoutes = require('./routes/website');
 const modelRoutes = require('./routes/models');
 const debugRoutes = require('./routes/debug');
+const documentRoutes = require('./routes/documents');
+const searchRoutes = require('./routes/search');
+const templateRoutes = require('./routes/templates');
 
 // Import initialization
 const { initializeServices } = require('./startup/initialize');
@@ -35,6 +38,9 @@ app.use('/api/chat', chatRoutes);
 app.use('/api/website', websiteRoutes);
 app.use('/api/model', modelRoutes);
 app.use('/api/debug', debugRoutes);  // Changed from '/api' to '/api/debug'
+app.use('/api/documents', documentRoutes);
+app.use('/api/search', searchRoutes);
+app.use('/api/templates', templateRoutes);
 
 // Error handling middleware
 app.use((err, req, res, next) => {
@@ -58,7 +64,11 @@ app.use('/api/*', (req, res) => {
             'GET /api/debug/azure-config',
             'GET /api/model/status',
             'POST /api/model/azure-openai/test',
-            'GET /api/website/status'
+            'GET /api/website/status',
+            'GET /api/website/jobs',
+            'POST /api/documents/upload',
+            'GET /api/search?q=',
+            'GET /api/templates'
         ],
         timestamp: new Date().toISOString()
     });
@@ -0,0 +1,317 @@
+// Main-content detection and HTML-to-markdown conversion for crawled pages
+
+// Never content, wherever they appear
+const NON_CONTENT_SELECTOR = 'script, style, noscript, template, svg, canvas, iframe, object, embed, button, select, input, textarea';
+
+// Class or id fragments that mark page furniture rather than the article itself
+const BOILERPLATE_PATTERN = /(^|[\s_-])(nav|navbar|navigation|menu|breadcrumbs?|sidebar|footer|masthead|banner|cookie|consent|share|sharing|social|related|recommended|promo|advert|ads?|sponsor|newsletter|subscribe|popup|modal|skip|toc|pagination|pager|comments?)($|[\s_-])/i;
+const CONTENT_PATTERN = /(^|[\s_-])(content|article|main|post|entry|body|text|story|docs?|documentation)($|[\s_-])/i;
+
+// Containers tried before scoring, in order of preference
+const CONTENT_SELECTORS = [
+    'main',
+    '[role="main"]',
+    '.content',
+    '.main-content',
+    '.post-content',
+    '.article-content',
+    'article',
+    '.page-content'
+];
+const MIN_SELECTOR_TEXT = 200;
+
+const BLOCK_TAGS = new Set(['address', 'article', 'aside', 'details', 'div', 'dl', 'fieldset', 'figcaption', 'figure', 'footer', 'header', 'main', 'nav', 'p', 'section', 'summary']);
+const HEADING_TAGS = new Set(['h1', 'h2', 'h3', 'h4', 'h5', 'h6']);
+
+function collapseWhitespace(text) {
+    return text.replace(/\s+/g, ' ');
+}
+
+function elementHint(el) {
+    return `${el.attribs?.class || ''} ${el.attribs?.id || ''}`;
+}
+
+// Share of an element's text that sits inside links - navigation blocks are mostly links
+function linkDensity($, el) {
+    const textLength = collapseWhitespace($(el).text()).trim().length;
+    if (textLength === 0) return 0;
+    
+    const linkLength = $(el).find('a').toArray()
+        .reduce((sum, link) => sum + collapseWhitespace($(link).text()).trim().length, 0);
+    return Math.min(1, linkLength / textLength);
+}
+
+// Text-density scoring: every paragraph-like block scores for its length and commas, and passes the
+// score to its parent in full and its grandparent by half. The container gathering the most prose wins,
+// discounted by how much of its text is links and nudged by content- or boilerplate-like class names.
+function scoreContainers($) {
+    const scores = new Map();
+    const addScore = (el, score) => {
+        if (el && el.type === 'tag' && el.name !== 'body' && el.name !== 'html') {
+            scores.set(el, (scores.get(el) || 0) + score);
+        }
+    };
+    
+    $('body').find('p, pre, td, li, blockquote').each((i, el) => {
+        const text = collapseWhitespace($(el).text()).trim();
+        if (text.length < 25) return;
+        
+        const score = 1 + (text.match(/,/g) || []).length + Math.min(3, Math.floor(text.length / 100));
+        addScore(el.parent, score);
+        addScore(el.parent?.parent, score / 2);
+    });
+    
+    for (const [el, score] of scores) {
+        const hint = elementHint(el);
+        let weighted = score * (1 - linkDensity($, el));
+        if (CONTENT_PATTERN.test(hint)) weighted *= 1.5;
+        if (BOILERPLATE_PATTERN.test(hint)) weighted *= 0.2;
+        scores.set(el, weighted);
+    }
+    
+    return scores;
+}
+
+// The element holding the page's main content: a known content container when it has real text,
+// otherwise the block with the best text density
+function findMainContent($) {
+    for (const selector of CONTENT_SELECTORS) {
+        const element = $(selector).first();
+        if (element.length > 0 && collapseWhitespace(element.text()).trim().length >= MIN_SELECTOR_TEXT) {
+            return element;
+        }
+    }
+    
+    let best = null;
+    let bestScore = 0;
+    for (const [el, score] of scoreContainers($)) {
+        if (score > bestScore) {
+            best = el;
+            bestScore = score;
+        }
+    }
+    
+    // A winner holding only a sliver of the page's text means the content is spread over the body
+    const bodyLength = collapseWhitespace($('body').text()).trim().length;
+    if (!best || collapseWhitespace($(best).text()).trim().length < bodyLength * 0.25) {
+        return $('body');
+    }
+    return $(best);
+}
+
+// Drop furniture inside the chosen container: boilerplate classes and link-heavy blocks such as
+// in-page menus, share bars and "related posts" lists. Code and tables are always kept.
+function pruneBoilerplate($, root) {
+    root.find(NON_CONTENT_SELECTOR).remove();
+    root.find('nav, aside, [role="navigation"], [role="banner"], [role="contentinfo"], [role="complementary"], [aria-hidden="true"], [hidden]').remove();
+    // Site-wide headers and footers - those inside the article itself are kept
+    root.find('header, footer').filter((i, el) => $(el).closest('main, article').length === 0).remove();
+    
+    root.find('div, section, ul, ol, header, footer, p').each((i, el) => {
+        const $el = $(el);
+        if ($el.find('pre, code, table').length > 0) return;
+        
+        const hint = elementHint(el);
+        if (BOILERPLATE_PATTERN.test(hint) && !CONTENT_PATTERN.test(hint)) {
+            $el.remove();
+            return;
+        }
+        
+        const textLength = collapseWhitespace($el.text()).trim().length;
+        if (textLength > 0 && textLength < 1000 && $el.find('a').length >= 3 && linkDensity($, el) > 0.6) {
+            $el.remove();
+        }
+    });
+}
+
+// The fragment that scrolls to a heading: its own id, an anchor inside it, or the id of the section
+// it opens (<section id="care"><h2>...). Returns null when there is none.
+function headingAnchor($, el) {
+    if (el.attribs.id) return el.attribs.id;
+    
+    const inner = $(el).find('a[id], a[name]').first();
+    if (inner.length > 0) return inner.attr('id') || inner.attr('name');
+    
+    const section = $(el).closest('section[id], article[id]');
+    if (section.length > 0 && section.find('h1, h2, h3, h4, h5, h6').first()[0] === el) {
+        return section.attr('id');
+    }
+    return null;
+}
+
+function escapeTableCell(text) {
+    return text.replace(/\|/g, '\\|').trim();
+}
+
+// Render one element's children as inline markdown on a single line
+function renderInline($, el) {
+    let output = '';
+    
+    for (const node of el.children || []) {
+        if (node.type === 'text') {
+            output += collapseWhitespace(node.data);
+            continue;
+        }
+        if (node.type !== 'tag') continue;
+        
+        const inner = renderInline($, node);
+        switch (node.name) {
+            case 'br':
+                output += '\n';
+                break;
+            case 'strong':
+            case 'b':
+                output += inner.trim() ? `**${inner.trim()}**` : '';
+                break;
+            case 'em':
+            case 'i':
+                output += inner.trim() ? `*${inner.trim()}*` : '';
+                break;
+            case 'code':
+            case 'kbd':
+                output += inner.trim() ? `\`${$(node).text().trim()}\`` : '';
+                break;
+            case 'img':
+                output += node.attribs.alt ? node.attribs.alt : '';
+                break;
+            default:
+                // Links keep their text only - URLs would just add noise to the chunks
+                output += inner;
+        }
+    }
+    
+    return output;
+}
+
+function renderCodeBlock($, el) {
+    const code = $(el).find('code').first();
+    const className = `${code.attr('class') || ''} ${$(el).attr('class') || ''}`;
+    const language = (className.match(/(?:language|lang)-([\w+#-]+)/) || [])[1] || '';
+    const text = (code.length > 0 ? code.text() : $(el).text()).replace(/^\n+|\s+$/g, '');
+    const fence = text.includes('```') ? '~~~' : '```';
+    
+    return `${fence}${language}\n${text}\n${fence}`;
+}
+
+function renderTable($, el) {
+    const rows = $(el).find('tr').toArray()
+        .filter(row => $(row).closest('table')[0] === el)
+        .map(row => $(row).children('th, td').toArray()
+            .map(cell => escapeTableCell(renderInline($, cell).replace(/\n/g, ' '))));
+    if (rows.length === 0) return '';
+    
+    const width = Math.max(...rows.map(row => row.length));
+    const pad = (row) => [...row, ...Array(width - row.length).fill('')];
+    const [header, ...body] = rows;
+    
+    return [
+        `| ${pad(header).join(' | ')} |`,
+        `| ${Array(width).fill('---').join(' | ')} |`,
+        ...body.map(row => `| ${pad(row).join(' | ')} |`)
+    ].join('\n');
+}
+
+function renderList($, el, depth) {
+    const ordered = el.name === 'ol';
+    const indent = '   '.repeat(depth);
+    let counter = parseInt($(el).attr('start')) || 1;
+    
+    return $(el).children('li').toArray().map(item => {
+        const marker = ordered ? `${counter++}.` : '-';
+        const nested = [];
+        const content = {
+            children: (item.children || []).filter(child => {
+                if (child.type === 'tag' && (child.name === 'ul' || child.name === 'ol')) {
+                    nested.push(renderList($, child, depth + 1));
+                    return false;
+                }
+                return true;
+            })
+        };
+        
+        // The first block sits on the marker line; later ones (code, extra paragraphs) are indented under it
+        const [first = '', ...rest] = renderBlocks($, content);
+        const continuation = rest.map(block => block.split('\n').map(line => `${indent}   ${line}`).join('\n'));
+        
+        return [`${indent}${marker} ${first.replace(/\s*\n\s*/g, ' ')}`.trimEnd(), ...continuation, ...nested].join('\n');
+    }).join('\n');
+}
+
+// Render an element's children as markdown blocks. Inline runs between blocks become paragraphs.
+function renderBlocks($, el) {
+    const blocks = [];
+    let inlineRun = [];
+    
+    const flushInline = () => {
+        const text = renderInline($, { children: inlineRun })
+            .split('\n')
+            .map(line => line.trim())
+            .filter(Boolean)
+            .join('\n');
+        if (text) blocks.push(text);
+        inlineRun = [];
+    };
+    
+    for (const node of el.children || []) {
+        const isBlock = node.type === 'tag' && (
+            BLOCK_TAGS.has(node.name) || HEADING_TAGS.has(node.name) ||
+            ['ul', 'ol', 'pre', 'table', 'blockquote', 'hr', 'dt', 'dd', 'li'].includes(node.name)
+        );
+        if (!isBlock) {
+            inlineRun.push(node);
+            continue;
+        }
+        flushInline();
+        
+        if (HEADING_TAGS.has(node.name)) {
+            // Anchors ride along as {#id}, so the chunker can deep-link each section
+            const text = renderInline($, node).replace(/\s+/g, ' ').trim();
+            const anchor = headingAnchor($, node);
+            if (text) blocks.push(`${'#'.repeat(parseInt(node.name[1]))} ${text}${anchor ? ` {#${anchor}}` : ''}`);
+        } else if (node.name === 'ul' || node.name === 'ol') {
+            const list = renderList($, node, 0);
+            if (list) blocks.push(list);
+        } else if (node.name === 'pre') {
+            blocks.push(renderCodeBlock($, node));
+        } else if (node.name === 'table') {
+            const table = renderTable($, node);
+            if (table) blocks.push(table);
+        } else if (node.name === 'blockquote') {
+            const quote = renderBlocks($, node).join('\n\n');
+            if (quote) blocks.push(quote.split('\n').map(line => `> ${line}`.trimEnd()).join('\n'));
+        } else if (node.name === 'hr') {
+            blocks.push('---');
+        } else if (node.name === 'dt') {
+            const term = renderInline($, node).trim();
+            if (term) blocks.push(`**${term}**`);
+        } else {
+            blocks.push(...renderBlocks($, node));
+        }
+    }
+    flushInline();
+    
+    return blocks;
+}
+
+// Convert a cheerio selection to markdown: headings (with {#anchor} attributes), lists, tables, code
+// blocks and emphasis survive, links are reduced to their text
+function htmlToMarkdown($, element) {
+    return element.toArray()
+        .flatMap(el => renderBlocks($, el))
+        .join('\n\n')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+}
+
+// Main content of a page as markdown, with furniture removed. Works on a copy, so the page's
+// links are still there for the crawler afterwards.
+function extractMarkdown($) {
+    const root = findMainContent($).clone();
+    pruneBoilerplate($, root);
+    return htmlToMarkdown($, root);
+}
+
+module.exports = {
+    extractMarkdown,
+    htmlToMarkdown
+};
@@ -0,0 +1,174 @@
+const crypto = require('crypto');
+const {
+    conversationMaxTurns,
+    conversationTtlMinutes,
+    conversationMaxSessions,
+    conversationCondenseQuery
+} = require('../config/environment');
+const { generateWithFallback, getFallbackChain } = require('../models/llmFallback');
+const { tokenize } = require('../utils/textUtils');
+const { logWarning } = require('../utils/logger');
+
+// Client-supplied IDs are accepted so a conversation can carry on after the server restarts
+const CONVERSATION_ID_PATTERN = /^[A-Za-z0-9_-]{8,64}$/;
+
+// Words that usually point back at something said earlier in the conversation
+const FOLLOW_UP_PATTERN = /\b(it|its|they|them|their|theirs|this|that|these|those|he|she|him|her|his|one|ones|same|other|else)\b|^(and|but|also|what about|how about)\b/i;
+
+// State - Map keeps insertion order, and touched conversations are re-inserted, so the oldest entry is least recently used
+let conversations = new Map();   // id -> { id, createdAt, updatedAt, messages: [{ role, content, timestamp }] }
+
+function pruneConversations() {
+    const cutoff = Date.now() - conversationTtlMinutes * 60 * 1000;
+    
+    for (const [id, conversation] of conversations) {
+        if (conversation.updatedAt < cutoff) {
+            conversations.delete(id);
+        }
+    }
+    
+    while (conversations.size > conversationMaxSessions) {
+        conversations.delete(conversations.keys().next().value);
+    }
+}
+
+function getOrCreateConversation(conversationId) {
+    pruneConversations();
+    
+    const id = typeof conversationId === 'string' && CONVERSATION_ID_PATTERN.test(conversationId)
+        ? conversationId
+        : crypto.randomUUID();
+    
+    const conversation = conversations.get(id) || {
+        id,
+        createdAt: Date.now(),
+        updatedAt: Date.now(),
+        messages: []
+    };
+    
+    conversations.delete(id);
+    conversations.set(id, conversation);
+    return conversation;
+}
+
+// The last N turns as chat messages, ready to hand to either generation path
+function getConversationHistory(conversationId) {
+    const conversation = conversations.get(conversationId);
+    if (!conversation) return [];
+    
+    return conversation.messages
+        .slice(-conversationMaxTurns * 2)
+        .map(({ role, content }) => ({ role, content }));
+}
+
+function appendTurn(conversationId, userMessage, assistantMessage) {
+    const conversation = conversations.get(conversationId);
+    if (!conversation) return;
+    
+    const timestamp = Date.now();
+    conversation.messages.push(
+        { role: 'user', content: userMessage, timestamp },
+        { role: 'assistant', content: assistantMessage, timestamp }
+    );
+    
+    // Only the turn window is ever sent to a model, so nothing older needs keeping
+    conversation.messages = conversation.messages.slice(-conversationMaxTurns * 2);
+    conversation.updatedAt = timestamp;
+}
+
+function getConversation(conversationId) {
+    const conversation = conversations.get(conversationId);
+    if (!conversation) return null;
+    
+    return {
+        id: conversation.id,
+        createdAt: new Date(conversation.createdAt).toISOString(),
+        updatedAt: new Date(conversation.updatedAt).toISOString(),
+        turns: conversation.messages.filter(m => m.role === 'user').length,
+        messages: conversation.messages.map(m => ({
+            role: m.role,
+            content: m.content,
+            timestamp: new Date(m.timestamp).toISOString()
+        }))
+    };
+}
+
+function deleteConversation(conversationId) {
+    return conversations.delete(conversationId);
+}
+
+// A message depends on the history when it refers back to something or is too short to search on its own
+function isFollowUp(message, history) {
+    if (history.length === 0) return false;
+    return FOLLOW_UP_PATTERN.test(message) || tokenize(message).length <= 2;
+}
+
+// Small local models can't be trusted to follow the rewrite instructions
+function followsInstructions(provider) {
+    return provider.capabilities.followsInstructions;
+}
+
+// Ask the model to rewrite a history-dependent follow-up as a question that can be searched on its own
+async function rewriteStandaloneQuestion(message, history) {
+    const transcript = history
+        .map(m => `${m.role === 'user' ? 'User' : 'Assistant'}: ${m.content.substring(0, 500)}`)
+        .join('\n');
+    
+    const prompt = `Rewrite the follow-up question so it can be understood without the conversation. Name the subject explicitly. Reply with the rewritten question only.
+
+Conversation:
+${transcript}
+
+Follow-up question: ${message}
+
+Standalone question:`;
+
+    // No retries - keyword condensing is a better use of the time than waiting on a struggling provider
+    const { content } = await generateWithFallback([{ role: "user", content: prompt }], {
+        maxTokens: 100,
+        temperature: 0,
+        maxRetries: 0,
+        filter: followsInstructions
+    });
+    return content ? content.trim().replace(/^["']|["']$/g, '') : null;
+}
+
+// Turn a follow-up into a query retrieval can use without the conversation.
+// Returns { query, method } where method is 'none', 'model' or 'keywords'.
+async function buildStandaloneQuery(message, history) {
+    if (!conversationCondenseQuery || !isFollowUp(message, history)) {
+        return { query: message, method: 'none' };
+    }
+    
+    if (getFallbackChain().some(provider => followsInstructions(provider) && provider.isReady())) {
+        try {
+            const rewritten = await rewriteStandaloneQuestion(message, history);
+            if (rewritten) {
+                return { query: rewritten, method: 'model' };
+            }
+        } catch (error) {
+            logWarning(`Follow-up rewrite failed, using keyword condensing: ${error.message}`);
+        }
+    }
+    
+    // Without a model, borrow the previous question so retrieval keeps its subject
+    const previousQuestion = [...history].reverse().find(m => m.role === 'user');
+    return {
+        query: previousQuestion ? `${previousQuestion.content} ${message}` : message,
+        method: previousQuestion ? 'keywords' : 'none'
+    };
+}
+
+module.exports = {
+    getOrCreateConversation,
+    getConversationHistory,
+    appendTurn,
+    getConversation,
+    deleteConversation,
+    buildStandaloneQuery,
+    getConversationStats: () => ({
+        active: conversations.size,
+        maxTurns: conversationMaxTurns,
+        ttlMinutes: conversationTtlMinutes
+    })
+};
@@ -0,0 +1,102 @@
+const { websiteCrawlMaxRetries } = require('../config/environment');
+const { fetchWithPolicy } = require('./fetchPolicy');
+const { sleep, parseRetryAfter, backoffDelay } = require('../utils/retryUtils');
+
+// Failures worth another attempt - anything else (404, 401, bad TLS, blocked by the fetch policy...) fails straight away
+const RETRYABLE_STATUSES = [429, 500, 502, 503, 504];
+const RETRYABLE_CODES = ['ECONNRESET', 'ECONNABORTED', 'ETIMEDOUT', 'EAI_AGAIN', 'EPIPE'];
+const BASE_BACKOFF_MS = 500;
+const MAX_BACKOFF_MS = 30000;
+// A server asking us to wait longer than this is treated as a failure rather than stalling the crawl
+const MAX_RETRY_AFTER_MS = 120000;
+
+function isRetryable(error) {
+    return error.response
+        ? RETRYABLE_STATUSES.includes(error.response.status)
+        : RETRYABLE_CODES.includes(error.code);
+}
+
+// A token bucket holding one token per host: each request takes the token and it refills after intervalMs.
+// Callers reserve the next slot up front, so concurrent requests to one host queue instead of racing.
+function createHostBucket(intervalMs) {
+    return { intervalMs, nextAt: 0 };
+}
+
+function reserveSlot(bucket, now = Date.now()) {
+    const startAt = Math.max(now, bucket.nextAt);
+    bucket.nextAt = startAt + bucket.intervalMs;
+    return startAt - now;
+}
+
+// Fetch pages politely and under the outbound fetch policy: one bucket per host paced by crawlDelay, or by the robots.txt Crawl-delay
+// for robotsHost when that is longer. Transient failures are retried with backoff, and Retry-After on
+// 429/503 pauses the whole host before the retry.
+function createCrawlFetcher(options = {}) {
+    const {
+        crawlDelay = 0,
+        robotsTxt = null,
+        robotsHost = null,
+        userAgent = 'WebAppChatbot/1.0',
+        maxRetries = websiteCrawlMaxRetries,
+        signal = null
+    } = options;
+    
+    const buckets = new Map();   // host -> { intervalMs, nextAt }
+    
+    function bucketFor(url) {
+        const host = new URL(url).host;
+        
+        if (!buckets.has(host)) {
+            const robotsDelay = robotsTxt && host === robotsHost ? robotsTxt.getCrawlDelay(userAgent) : undefined;
+            const intervalMs = Math.max(crawlDelay, robotsDelay ? robotsDelay * 1000 : 0);
+            
+            if (robotsDelay) {
+                console.log(`🐢 robots.txt Crawl-delay for ${host}: ${robotsDelay}s (using ${intervalMs}ms)`);
+            }
+            buckets.set(host, createHostBucket(intervalMs));
+        }
+        
+        return buckets.get(host);
+    }
+    
+    async function fetchPage(url, requestOptions = {}) {
+        const bucket = bucketFor(url);
+        
+        for (let attempt = 0; ; attempt++) {
+            await sleep(reserveSlot(bucket), signal);
+            
+            try {
+                return await fetchWithPolicy(url, { ...requestOptions, signal });
+            } catch (error) {
+                if ((signal && signal.aborted) || attempt >= maxRetries || !isRetryable(error)) {
+                    throw error;
+                }
+                
+                const status = error.response?.status;
+                const retryAfter = [429, 503].includes(status)
+                    ? parseRetryAfter(error.response.headers['retry-after'])
+                    : null;
+                
+                if (retryAfter !== null && retryAfter > MAX_RETRY_AFTER_MS) {
+                    throw error;
+                }
+                
+                // The server asked for a pause - hold back every request to this host, not just this one
+                let delay = backoffDelay(attempt, BASE_BACKOFF_MS, MAX_BACKOFF_MS);
+                if (retryAfter !== null) {
+                    bucket.nextAt = Math.max(bucket.nextAt, Date.now() + retryAfter);
+                    delay = 0;
+                }
+                
+                console.log(`🔁 Retrying ${url} (attempt ${attempt + 2}/${maxRetries + 1}) after ${status || error.code}${retryAfter !== null ? ` - Retry-After ${retryAfter}ms` : ''}`);
+                await sleep(delay, signal);
+            }
+        }
+    }
+    
+    return { fetchPage };
+}
+
+module.exports = {
+    createCrawlFetcher
+};
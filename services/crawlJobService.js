@@ -0,0 +1,155 @@
+const crypto = require('crypto');
+const { crawlJobHistory } = require('../config/environment');
+const { crawlAndIndexWebsite, createCrawlProgress } = require('./crawling');
+const { logSuccess, logWarning, logError } = require('../utils/logger');
+
+const ACTIVE_STATUSES = ['queued', 'running'];
+
+// State - jobs in submission order. Crawls share the website index, so they run one at a time.
+let jobs = new Map();       // id -> { id, status, trigger, baseUrl, options, createdAt, startedAt, finishedAt, cancelRequested, progress, result, error }
+let queue = [];             // ids of queued jobs, oldest first
+let runningJobId = null;
+const runtime = new Map();  // id -> { controller, done, resolve } while the job is queued or running
+
+// Drop the oldest finished jobs beyond the history limit
+function pruneHistory() {
+    const finished = [...jobs.values()].filter(job => !ACTIVE_STATUSES.includes(job.status));
+    finished.slice(0, Math.max(0, finished.length - crawlJobHistory)).forEach(job => jobs.delete(job.id));
+}
+
+async function runNextJob() {
+    if (runningJobId || queue.length === 0) return;
+    
+    const job = jobs.get(queue.shift());
+    const { controller, resolve } = runtime.get(job.id);
+    runningJobId = job.id;
+    job.status = 'running';
+    job.startedAt = new Date().toISOString();
+    
+    console.log(`🕷️ Crawl job ${job.id} started for ${job.baseUrl}`);
+    
+    try {
+        job.result = await crawlAndIndexWebsite(job.baseUrl, {
+            ...job.options,
+            progress: job.progress,
+            signal: controller.signal
+        });
+        job.status = 'done';
+        logSuccess(`Crawl job ${job.id} finished: ${job.progress.pagesDone} pages`);
+    } catch (error) {
+        if (error.name === 'AbortError') {
+            job.status = 'cancelled';
+            logWarning(`Crawl job ${job.id} cancelled - index left unchanged`);
+        } else {
+            job.status = 'failed';
+            job.error = error.message;
+            logError(`Crawl job ${job.id} failed: ${error.message}`);
+        }
+    } finally {
+        job.finishedAt = new Date().toISOString();
+        job.progress.currentUrl = null;
+        runningJobId = null;
+        runtime.delete(job.id);
+        resolve(job);
+        pruneHistory();
+        runNextJob();
+    }
+}
+
+// Queue a crawl and start it as soon as no other crawl is running.
+// trigger records what asked for it: 'manual', 'auto' or 'startup'.
+function createCrawlJob(baseUrl, options = {}, trigger = 'manual') {
+    const job = {
+        id: crypto.randomUUID(),
+        status: 'queued',
+        trigger,
+        baseUrl,
+        options: { ...options },
+        createdAt: new Date().toISOString(),
+        startedAt: null,
+        finishedAt: null,
+        cancelRequested: false,
+        progress: createCrawlProgress(options.maxPages),
+        result: null,
+        error: null
+    };
+    
+    let resolve;
+    const done = new Promise(r => { resolve = r; });
+    runtime.set(job.id, { controller: new AbortController(), done, resolve });
+    
+    jobs.set(job.id, job);
+    queue.push(job.id);
+    runNextJob();
+    
+    return job;
+}
+
+// Cancel a queued or running job. Returns the job, or null if the ID is unknown.
+// A running crawl stops before its next page and discards what it fetched.
+function cancelCrawlJob(jobId) {
+    const job = jobs.get(jobId);
+    if (!job || !ACTIVE_STATUSES.includes(job.status)) return job || null;
+    
+    job.cancelRequested = true;
+    
+    if (job.status === 'queued') {
+        queue = queue.filter(id => id !== jobId);
+        job.status = 'cancelled';
+        job.finishedAt = new Date().toISOString();
+        runtime.get(jobId).resolve(job);
+        runtime.delete(jobId);
+        pruneHistory();
+    } else {
+        runtime.get(jobId).controller.abort();
+    }
+    
+    return job;
+}
+
+// Resolves with the job once it has finished, whatever the outcome
+function waitForCrawlJob(jobId) {
+    const entry = runtime.get(jobId);
+    return entry ? entry.done : Promise.resolve(jobs.get(jobId) || null);
+}
+
+// A queued or running job for the same site, so repeated requests don't stack up duplicate crawls
+function findActiveCrawlJob(baseUrl) {
+    return [...jobs.values()].find(job => ACTIVE_STATUSES.includes(job.status) && job.baseUrl === baseUrl) || null;
+}
+
+// Newest first, without the per-page error lists
+function listCrawlJobs() {
+    return [...jobs.values()].reverse().map(({ progress, ...job }) => ({
+        ...job,
+        pagesDone: progress.pagesDone,
+        errorCount: progress.errors.length
+    }));
+}
+
+// The single-crawl view that /api/website/status has always reported, taken from the latest job
+function getCrawlSummary() {
+    const latest = [...jobs.values()].reverse().find(job => job.status !== 'queued');
+    const lastFinished = [...jobs.values()].reverse().find(job => job.finishedAt && job.status !== 'cancelled');
+    
+    return {
+        lastCrawl: lastFinished ? lastFinished.finishedAt : null,
+        crawlInProgress: runningJobId !== null,
+        crawledPages: latest ? latest.progress.pagesDone : 0,
+        errors: latest ? latest.progress.errors : [],
+        sitemap: latest ? latest.progress.sitemap : null,
+        changes: latest ? latest.progress.changes : null,
+        currentJobId: runningJobId,
+        queuedJobs: queue.length
+    };
+}
+
+module.exports = {
+    createCrawlJob,
+    cancelCrawlJob,
+    waitForCrawlJob,
+    findActiveCrawlJob,
+    listCrawlJobs,
+    getCrawlSummary,
+    getCrawlJob: (jobId) => jobs.get(jobId) || null
+};
@@ -0,0 +1,90 @@
+// Per-crawl URL rules: which host, which path prefix, and which include/exclude patterns a URL must pass
+
+// A pattern starting with re: is a case-insensitive regular expression tested against the whole URL.
+// Anything else is a glob: * matches within one path segment, ** across segments, ? one character.
+// Globs starting with / are matched against the path and query, others against the whole URL.
+function compileUrlPattern(pattern) {
+    if (typeof pattern !== 'string' || !pattern.trim()) {
+        throw new Error('URL patterns must be non-empty strings');
+    }
+    
+    const trimmed = pattern.trim();
+    if (trimmed.startsWith('re:')) {
+        try {
+            const regex = new RegExp(trimmed.slice(3), 'i');
+            return (url) => regex.test(url);
+        } catch (error) {
+            throw new Error(`Invalid regular expression ${trimmed}: ${error.message}`);
+        }
+    }
+    
+    const source = trimmed
+        .split('**')
+        .map(part => part
+            .split('*')
+            .map(piece => piece
+                .split('?')
+                .map(text => text.replace(/[.+^${}()|[\]\\/]/g, '\\$&'))
+                .join('[^/]'))
+            .join('[^/]*'))
+        .join('.*');
+    const glob = new RegExp(`^${source}$`, 'i');
+    const matchPath = trimmed.startsWith('/');
+    
+    return (url) => {
+        const urlObj = new URL(url);
+        return glob.test(matchPath ? urlObj.pathname + urlObj.search : url);
+    };
+}
+
+// Accepts an array of patterns or one comma/newline-separated string, as sent by the admin form
+function parsePatternList(patterns) {
+    if (!patterns) return [];
+    const list = Array.isArray(patterns) ? patterns : String(patterns).split(/[\n,]/);
+    return list.map(pattern => String(pattern).trim()).filter(Boolean);
+}
+
+// Build the scope check for one crawl. Throws when a pattern or option is invalid, so callers can
+// reject the request before a job is queued.
+function createCrawlScope(baseUrl, options = {}) {
+    const {
+        includeExternalLinks = false,
+        includePatterns = [],
+        excludePatterns = [],
+        pathPrefix = null
+    } = options;
+    
+    const baseHost = new URL(baseUrl).hostname;
+    const includes = parsePatternList(includePatterns).map(compileUrlPattern);
+    const excludes = parsePatternList(excludePatterns).map(compileUrlPattern);
+    
+    if (pathPrefix && (typeof pathPrefix !== 'string' || !pathPrefix.startsWith('/'))) {
+        throw new Error('pathPrefix must be a path starting with /');
+    }
+    const prefix = pathPrefix || null;
+    
+    function isInScope(url) {
+        const urlObj = new URL(url);
+        
+        if (!includeExternalLinks && urlObj.hostname !== baseHost) return false;
+        if (prefix && urlObj.hostname === baseHost && !urlObj.pathname.startsWith(prefix)) return false;
+        if (includes.length > 0 && !includes.some(matches => matches(url))) return false;
+        if (excludes.some(matches => matches(url))) return false;
+        
+        return true;
+    }
+    
+    return {
+        isInScope,
+        rules: {
+            includePatterns: parsePatternList(includePatterns),
+            excludePatterns: parsePatternList(excludePatterns),
+            pathPrefix: prefix
+        }
+    };
+}
+
+module.exports = {
+    createCrawlScope,
+    parsePatternList
+};
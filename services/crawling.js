@@ -1,19 +1,139 @@
-const axios = require('axios');
+const crypto = require('crypto');
 const cheerio = require('cheerio');
 const robotsParser = require('robots-parser');
-const { websiteMaxPages, websiteCrawlDelay, isAzureAppService } = require('../config/environment');
-const { detectBaseUrl } = require('../utils/urlUtils');
-const { chunkText } = require('../utils/textUtils');
-const { processWebsitePages, getDocumentEmbeddings, setDocumentEmbeddings, addToDocumentStore, getEmbedder } = require('./ragService');
+const {
+    websiteMaxPages,
+    websiteCrawlDelay,
+    websiteCrawlConcurrency,
+    websiteUseSitemaps,
+    websiteIncludeDocuments,
+    websiteMaxDocumentMb,
+    crawlMaxResponseMb,
+    isAzureAppService
+} = require('../config/environment');
+const { detectBaseUrl, normalizeUrl } = require('../utils/urlUtils');
+const {
+    processWebsitePages,
+    addToDocumentStore,
+    removeFromDocumentStore,
+    replaceSourceChunks,
+    replaceSources,
+    createSourceId,
+    websiteChunkFields,
+    chunkWebsitePage,
+    getDocumentEmbeddings,
+    getEmbedder,
+    hasCompatibleEmbedding
+} = require('./ragService');
+const indexStorage = require('./indexStorage');
+const { discoverSitemapUrls } = require('./sitemapService');
+const { detectDocumentType, extractTextFromBuffer } = require('./documentService');
+const { createCrawlFetcher } = require('./crawlFetcher');
+const { fetchWithPolicy } = require('./fetchPolicy');
+const { createCrawlScope } = require('./crawlScope');
+const { extractMarkdown } = require('./contentExtractor');
 const { logSuccess, logWarning, logError } = require('../utils/logger');
 
-// State
-let websiteCrawlData = {
-    lastCrawl: null,
-    crawlInProgress: false,
-    crawledPages: 0,
-    errors: []
-};
+// Live progress of one crawl - the job manager hands one in and reports it while the crawl runs
+function createCrawlProgress(maxPages = websiteMaxPages) {
+    return {
+        currentUrl: null,
+        pagesDone: 0,
+        pagesQueued: 0,
+        maxPages,
+        errors: [],
+        sitemap: null,
+        changes: null
+    };
+}
+
+// Stop between pages once the crawl's signal has been aborted; the error has name 'AbortError'
+function throwIfCancelled(signal) {
+    if (signal && signal.aborted) {
+        const error = new Error('Crawl cancelled');
+        error.name = 'AbortError';
+        throw error;
+    }
+}
+
+function isHtmlContentType(contentType) {
+    return contentType.includes('text/html') || contentType.includes('application/xhtml+xml');
+}
+
+// Requests refused by the fetch policy are listed with the crawl's errors, flagged with the reason
+function recordBlockedRequest(progress, url, error) {
+    logWarning(error.message);
+    progress.errors.push({
+        url,
+        error: error.message,
+        blocked: true,
+        reason: error.reason
+    });
+}
+
+// Linked files the crawler can parse when includeDocuments is on
+const DOCUMENT_LINK_EXTENSIONS = ['.pdf', '.docx'];
+
+// State - validators and content hashes per crawled URL, loaded from disk on first use
+let pageStates = null;   // url -> { url, etag, lastModified, contentHash, contentLength, links, crawledAt, documentType?, referrer? }
+
+async function getPageStates() {
+    if (!pageStates) {
+        pageStates = new Map(Object.entries(await indexStorage.loadCrawlState()));
+    }
+    return pageStates;
+}
+
+function savePageStates() {
+    indexStorage.saveCrawlState(Object.fromEntries(pageStates));
+}
+
+// Hash the extracted text rather than the HTML so markup-only changes don't trigger re-embedding
+function hashPageContent(pageData) {
+    return crypto.createHash('sha1')
+        .update(`${pageData.title}\n${pageData.description}\n${pageData.content}`)
+        .digest('hex');
+}
+
+// What the next crawl needs to know about a fetched page
+function buildPageState(url, response, pageData, links) {
+    return {
+        url,
+        etag: response.headers['etag'] || null,
+        lastModified: response.headers['last-modified'] || null,
+        contentHash: hashPageContent(pageData),
+        contentLength: pageData.content.length,
+        links,
+        crawledAt: new Date().toISOString(),
+        // Documents remember the page that linked them, for when that page comes back 304 next time
+        ...(pageData.documentType && { documentType: pageData.documentType, referrer: pageData.referrer })
+    };
+}
+
+// URLs of indexed website pages, each mapped to whether all its chunks are searchable with the active
+// embedder and were cut by the heading-aware chunker (older chunks have no headingPath)
+function getIndexedWebsitePages() {
+    const embedder = getEmbedder();
+    const pages = new Map();
+    
+    for (const doc of getDocumentEmbeddings()) {
+        if (doc.type !== 'website' || !doc.url) continue;
+        const compatible = (!embedder || hasCompatibleEmbedding(doc)) && Array.isArray(doc.headingPath);
+        pages.set(doc.url, (pages.has(doc.url) ? pages.get(doc.url) : true) && compatible);
+    }
+    
+    return pages;
+}
+
+// Count an indexed page towards sitemap coverage - the share of listed URLs that made it into the index
+function recordSitemapCoverage(sitemap, isListed) {
+    if (isListed) {
+        sitemap.urlsIndexed++;
+    } else {
+        sitemap.pagesOutsideSitemap++;
+    }
+    sitemap.coverage = Math.round((sitemap.urlsIndexed / sitemap.urlsListed) * 1000) / 10;
+}
 
 async function crawlWebsite(baseUrl, options = {}) {
     const {
@@ -21,108 +141,309 @@ async function crawlWebsite(baseUrl, options = {}) {
         respectRobots = true,
         includeExternalLinks = false,
         crawlDelay = websiteCrawlDelay,
+        concurrency = websiteCrawlConcurrency,
+        useSitemaps = websiteUseSitemaps,
+        includeDocuments = websiteIncludeDocuments,
+        maxDocumentMb = websiteMaxDocumentMb,
+        includePatterns = [],
+        excludePatterns = [],
+        pathPrefix = null,
+        maxDepth = null,
+        respectCanonical = true,
+        knownPages = new Map(),
+        progress = createCrawlProgress(maxPages),
+        signal = null,
         userAgent = 'WebAppChatbot/1.0'
     } = options;
 
     console.log(`\n=== STARTING WEBSITE CRAWL ===`);
     console.log('Base URL:', baseUrl);
     console.log('Max pages:', maxPages);
-    console.log('Crawl delay:', crawlDelay + 'ms');
-
-    websiteCrawlData.crawlInProgress = true;
-    websiteCrawlData.errors = [];
-    websiteCrawlData.crawledPages = 0;
+    console.log('Crawl delay:', crawlDelay + 'ms per host');
+    console.log('Concurrency:', concurrency);
+    console.log('Sitemaps:', useSitemaps ? 'enabled' : 'disabled');
+    console.log('Linked documents:', includeDocuments ? `enabled (up to ${maxDocumentMb}MB)` : 'disabled');
+    const scope = createCrawlScope(baseUrl, { includeExternalLinks, includePatterns, excludePatterns, pathPrefix });
+    const { includePatterns: includes, excludePatterns: excludes, pathPrefix: prefix } = scope.rules;
+    if (includes.length > 0) console.log('Include:', includes.join(', '));
+    if (excludes.length > 0) console.log('Exclude:', excludes.join(', '));
+    if (prefix) console.log('Path prefix:', prefix);
+    if (maxDepth !== null) console.log('Max depth:', maxDepth);
+    console.log('Known pages:', knownPages.size);
 
+    // The start URL is always fetched so its links can be followed, even when the rules exclude it
+    const startUrl = normalizeUrl(baseUrl);
     const visitedUrls = new Set();
-    const urlsToVisit = [baseUrl];
+    const queuedUrls = new Set([startUrl]);
+    const depths = new Map([[startUrl, 0]]);   // url -> links followed from the start URL or a sitemap
+    let urlsToVisit = [startUrl];
     const crawledPages = [];
+    const unchangedPages = [];
+    const goneUrls = new Set();
+    const sitemapUrls = new Set();
+    const referrers = new Map();   // document URL -> { url, title } of the first page linking to it
     let robotsTxt = null;
 
-    // Check robots.txt if requested
-    if (respectRobots) {
+    const queueLinks = (links, depth) => {
+        if (maxDepth !== null && depth > maxDepth) return;
+        
+        links.forEach(url => {
+            if (!visitedUrls.has(url) && !queuedUrls.has(url) && scope.isInScope(url)) {
+                queuedUrls.add(url);
+                depths.set(url, depth);
+                urlsToVisit.push(url);
+            }
+        });
+    };
+
+    // Unchanged pages still count towards the page budget and sitemap coverage
+    const recordIndexedPage = (url) => {
+        progress.pagesDone++;
+        if (progress.sitemap && sitemapUrls.size > 0) {
+            recordSitemapCoverage(progress.sitemap, sitemapUrls.has(url));
+        }
+    };
+
+    // robots.txt is also read for its Sitemap: lines, even when its rules are not applied
+    if (respectRobots || useSitemaps) {
+        const robotsUrl = new URL('/robots.txt', baseUrl).href;
         try {
-            const robotsUrl = new URL('/robots.txt', baseUrl).href;
-            const robotsResponse = await axios.get(robotsUrl, { timeout: 5000 });
-            robotsTxt = robotsParser(robotsUrl, robotsResponse.data);
+            const robotsResponse = await fetchWithPolicy(robotsUrl, { timeout: 5000, signal });
+            robotsTxt = robotsParser(robotsUrl, robotsResponse.data.toString('utf8'));
             logSuccess('Loaded robots.txt');
         } catch (error) {
-            console.log('ℹ️  No robots.txt found or accessible');
+            if (error.blocked) {
+                recordBlockedRequest(progress, robotsUrl, error);
+            } else {
+                console.log('ℹ️  No robots.txt found or accessible');
+            }
         }
     }
 
-    while (urlsToVisit.length > 0 && crawledPages.length < maxPages) {
-        const currentUrl = urlsToVisit.shift();
-        
-        if (visitedUrls.has(currentUrl)) continue;
-        visitedUrls.add(currentUrl);
+    // Seed the queue from the sitemaps so pages without inbound links are found and
+    // the page budget goes to the highest-priority, most recently changed pages first
+    if (useSitemaps) {
+        const { entries, sitemaps, errors } = await discoverSitemapUrls(baseUrl, {
+            robotsTxt,
+            userAgent,
+            isInScope: (url) => scope.isInScope(normalizeUrl(url)) &&
+                !(respectRobots && robotsTxt && !robotsTxt.isAllowed(url, userAgent))
+        });
 
-        // Check robots.txt permissions
-        if (robotsTxt && !robotsTxt.isAllowed(currentUrl, userAgent)) {
-            console.log(`🚫 Robots.txt disallows: ${currentUrl}`);
-            continue;
-        }
+        entries.forEach(entry => {
+            const url = normalizeUrl(entry.url);
+            sitemapUrls.add(url);
+            queuedUrls.add(url);
+            depths.set(url, 0);
+        });
+        urlsToVisit = [...sitemapUrls, ...urlsToVisit.filter(url => !sitemapUrls.has(url))];
+
+        progress.sitemap = {
+            sitemaps,
+            errors,
+            urlsListed: sitemapUrls.size,
+            urlsIndexed: 0,
+            pagesOutsideSitemap: 0,
+            coverage: sitemapUrls.size > 0 ? 0 : null
+        };
+        errors.filter(error => error.blocked).forEach(error => progress.errors.push(error));
+    }
+
+    const fetcher = createCrawlFetcher({
+        crawlDelay,
+        robotsTxt: respectRobots ? robotsTxt : null,
+        robotsHost: new URL(baseUrl).host,
+        userAgent,
+        signal
+    });
+
+    // Fetch and process one page; failures are recorded, never thrown
+    const crawlPage = async (currentUrl) => {
+        const depth = depths.get(currentUrl) || 0;
+        
+        // Ask the server to skip the body when the page is unchanged since the last crawl
+        const known = knownPages.get(currentUrl);
+        const headers = {
+            'User-Agent': userAgent
+        };
+        if (known?.etag) headers['If-None-Match'] = known.etag;
+        if (known?.lastModified) headers['If-Modified-Since'] = known.lastModified;
+        const conditional = !!(headers['If-None-Match'] || headers['If-Modified-Since']);
+        
+        // Only HTML, and PDF/DOCX when documents are on, is downloaded - anything else is refused by the fetch policy
+        const fetchCurrentPage = (requestHeaders) => fetcher.fetchPage(currentUrl, {
+            timeout: 10000,
+            headers: requestHeaders,
+            isAllowedContentType: (type, url) => isHtmlContentType(type) || (includeDocuments && !!detectDocumentType(type, url)),
+            maxBytes: Math.max(crawlMaxResponseMb, includeDocuments ? maxDocumentMb : 0) * 1024 * 1024,
+            validateStatus: status => (status >= 200 && status < 300) || status === 304
+        });
 
         try {
             console.log(`🔍 Crawling: ${currentUrl}`);
             
-            const response = await axios.get(currentUrl, {
-                timeout: 10000,
-                headers: {
-                    'User-Agent': userAgent
+            let response = await fetchCurrentPage(headers);
+            
+            // 304 only means "unchanged since last time" in answer to a conditional request - anything else
+            // (a misbehaving server or cache) is asked again for the page itself
+            if (response.status === 304 && !conditional) {
+                console.log(`⚠️  Unexpected 304 for ${currentUrl} - refetching without caches`);
+                response = await fetchCurrentPage({ ...headers, 'Cache-Control': 'no-cache', Pragma: 'no-cache' });
+                if (response.status === 304) {
+                    throw new Error('Server answered 304 Not Modified to a request that was not conditional');
                 }
-            });
+            }
+            
+            const contentType = response.headers['content-type'] || '';
+            const documentType = includeDocuments ? detectDocumentType(contentType, currentUrl) : null;
 
-            if (response.headers['content-type']?.includes('text/html')) {
-                const $ = cheerio.load(response.data);
+            if (response.status === 304) {
+                // No body to follow links from, so reuse the links recorded last time
+                console.log(`⏭️  Not modified: ${currentUrl}`);
+                unchangedPages.push({ ...known, url: currentUrl, crawledAt: new Date().toISOString() });
+                recordIndexedPage(currentUrl);
+                queueLinks(known.links || [], depth + 1);
+            } else if (documentType || isHtmlContentType(contentType)) {
+                let pageUrl = currentUrl;
+                let pageData;
+                let links = [];
+                
+                if (documentType) {
+                    pageData = await extractLinkedDocument(Buffer.from(response.data), documentType, currentUrl, referrers.get(currentUrl) || known?.referrer);
+                } else {
+                    const $ = cheerio.load(Buffer.from(response.data).toString('utf8'));
+                    
+                    // A page naming another in-scope URL as its canonical copy is indexed under that URL
+                    const canonicalUrl = respectCanonical ? extractCanonicalUrl($, currentUrl) : null;
+                    if (canonicalUrl && canonicalUrl !== currentUrl && scope.isInScope(canonicalUrl)) {
+                        pageUrl = canonicalUrl;
+                    }
+                    
+                    links = extractLinksFromPage($, currentUrl, baseUrl, includeExternalLinks, includeDocuments);
+                    pageData = extractPageContent($, pageUrl);
+                    links.forEach(url => {
+                        if (!referrers.has(url)) referrers.set(url, { url: pageUrl, title: pageData.title });
+                    });
+                }
                 
-                // Extract page content
-                const pageData = extractPageContent($, currentUrl);
+                // Only the start URL can be out of scope here - it is crawled for its links alone
+                let indexPage = scope.isInScope(pageUrl);
+                if (pageUrl !== currentUrl) {
+                    // The alias is never indexed; the canonical URL is claimed so it isn't fetched again
+                    goneUrls.add(currentUrl);
+                    indexPage = !visitedUrls.has(pageUrl);
+                    visitedUrls.add(pageUrl);
+                    console.log(`🔗 ${currentUrl} is canonically ${pageUrl}${indexPage ? '' : ' - already crawled'}`);
+                }
                 
-                if (pageData.content.trim().length > 100) { // Only store pages with substantial content
-                    crawledPages.push(pageData);
-                    websiteCrawlData.crawledPages++;
-                    logSuccess(`Extracted content from: ${pageData.title || currentUrl}`);
+                if (!indexPage) {
+                    goneUrls.add(currentUrl);
+                } else if (pageData.content.trim().length > 100) { // Only store pages with substantial content
+                    const previous = knownPages.get(pageUrl);
+                    const pageState = buildPageState(pageUrl, response, pageData, links);
+                    
+                    // The server re-sent the page but the extracted text is the same
+                    if (previous && previous.contentHash === pageState.contentHash) {
+                        console.log(`⏭️  Content unchanged: ${pageUrl}`);
+                        unchangedPages.push(pageState);
+                    } else {
+                        crawledPages.push({ ...pageData, pageState });
+                        logSuccess(`Extracted content from: ${pageData.title || pageUrl}`);
+                    }
+                    recordIndexedPage(pageUrl);
+                } else {
+                    goneUrls.add(pageUrl);
                 }
 
                 // Find more URLs to crawl
-                if (crawledPages.length < maxPages) {
-                    const newUrls = extractLinksFromPage($, currentUrl, baseUrl, includeExternalLinks);
-                    newUrls.forEach(url => {
-                        if (!visitedUrls.has(url) && !urlsToVisit.includes(url)) {
-                            urlsToVisit.push(url);
-                        }
-                    });
+                if (crawledPages.length + unchangedPages.length < maxPages) {
+                    queueLinks(links, depth + 1);
                 }
-            }
-
-            // Respectful crawling delay
-            if (crawlDelay > 0) {
-                await new Promise(resolve => setTimeout(resolve, crawlDelay));
+            } else {
+                goneUrls.add(currentUrl);
             }
 
         } catch (error) {
+            if (signal && signal.aborted) return;
+            
+            // A URL the fetch policy refuses can't be indexed any more, but the crawl carries on
+            if (error.blocked) {
+                goneUrls.add(currentUrl);
+                recordBlockedRequest(progress, currentUrl, error);
+                return;
+            }
+            
+            // Only a definite "not found" removes a page - other failures keep the indexed copy
+            if ([404, 410].includes(error.response?.status)) {
+                goneUrls.add(currentUrl);
+            }
             logError(`Error crawling ${currentUrl}: ${error.message}`);
-            websiteCrawlData.errors.push({
+            progress.errors.push({
                 url: currentUrl,
                 error: error.message
             });
         }
-    }
+    };
 
-    websiteCrawlData.crawlInProgress = false;
-    websiteCrawlData.lastCrawl = new Date().toISOString();
+    // Keep up to `concurrency` pages in flight. Pages being fetched count against maxPages so the
+    // budget is never overshot; links found meanwhile join the queue and are picked up as slots free.
+    const inFlight = new Set();
+    await new Promise(resolve => {
+        const fillSlots = () => {
+            while (!(signal && signal.aborted) &&
+                   inFlight.size < concurrency &&
+                   urlsToVisit.length > 0 &&
+                   crawledPages.length + unchangedPages.length + inFlight.size < maxPages) {
+                const currentUrl = urlsToVisit.shift();
+                
+                if (visitedUrls.has(currentUrl)) continue;
+                visitedUrls.add(currentUrl);
+
+                // Check robots.txt permissions
+                if (respectRobots && robotsTxt && !robotsTxt.isAllowed(currentUrl, userAgent)) {
+                    console.log(`🚫 Robots.txt disallows: ${currentUrl}`);
+                    goneUrls.add(currentUrl);
+                    continue;
+                }
+
+                progress.currentUrl = currentUrl;
+                const task = crawlPage(currentUrl).finally(() => {
+                    inFlight.delete(task);
+                    fillSlots();
+                });
+                inFlight.add(task);
+            }
+            
+            progress.pagesQueued = urlsToVisit.length;
+            if (inFlight.size === 0) resolve();
+        };
+        fillSlots();
+    });
+
+    progress.currentUrl = null;
+    progress.pagesQueued = 0;
+    throwIfCancelled(signal);
 
     console.log(`=== CRAWL COMPLETE ===`);
-    console.log(`Crawled ${crawledPages.length} pages`);
-    console.log(`Errors: ${websiteCrawlData.errors.length}`);
+    console.log(`Crawled ${crawledPages.length} changed pages, ${unchangedPages.length} unchanged`);
+    console.log(`Errors: ${progress.errors.length}`);
+    if (progress.sitemap) {
+        const { urlsIndexed, urlsListed, coverage } = progress.sitemap;
+        console.log(`Sitemap coverage: ${urlsIndexed}/${urlsListed} URLs${coverage !== null ? ` (${coverage}%)` : ''}`);
+    }
 
-    return crawledPages;
+    return {
+        pages: crawledPages,
+        unchangedPages,
+        goneUrls,
+        visitedUrls,
+        // Every reachable page was visited, so an indexed page that was not seen no longer exists
+        complete: urlsToVisit.every(url => visitedUrls.has(url))
+    };
 }
 
+// Leaves $ untouched - navigation is pruned from a copy, so menus are still there for link discovery
 function extractPageContent($, url) {
-    // Remove unwanted elements
-    $('script, style, nav, header, footer, .sidebar, .menu, .navigation').remove();
-    
     // Extract title
     const title = $('title').text().trim() || 
                   $('h1').first().text().trim() || 
@@ -131,47 +452,17 @@ function extractPageContent($, url) {
     // Extract meta description
     const description = $('meta[name="description"]').attr('content') || '';
     
-    // Extract main content
-    let content = '';
+    // Extract main content as markdown, keeping headings, lists, tables and code blocks
+    const content = extractMarkdown($);
     
-    // Try common content containers first
-    const contentSelectors = [
-        'main',
-        '[role="main"]',
-        '.content',
-        '.main-content',
-        '.post-content',
-        '.article-content',
-        'article',
-        '.page-content'
-    ];
-    
-    for (const selector of contentSelectors) {
-        const element = $(selector);
-        if (element.length > 0) {
-            content = element.text().trim();
-            break;
-        }
-    }
-    
-    // Fallback to body content if no specific container found
-    if (!content) {
-        content = $('body').text().trim();
-    }
-    
-    // Clean up content
-    content = content
-        .replace(/\s+/g, ' ')  // Normalize whitespace
-        .replace(/\n+/g, '\n') // Normalize line breaks
-        .trim();
-    
-    // Extract headings for structure
+    // Headings of the extracted content, outside code blocks
     const headings = [];
-    $('h1, h2, h3, h4, h5, h6').each((i, el) => {
-        const text = $(el).text().trim();
-        const level = el.tagName.toLowerCase();
-        if (text) {
-            headings.push({ level, text });
+    let inCodeBlock = false;
+    content.split('\n').forEach(line => {
+        if (/^\s*(```|~~~)/.test(line)) inCodeBlock = !inCodeBlock;
+        const match = !inCodeBlock && line.match(/^(#{1,6}) (.+?)(?: \{#([^}\s]+)\})?$/);
+        if (match) {
+            headings.push({ level: `h${match[1].length}`, text: match[2], anchor: match[3] || null });
         }
     });
     
@@ -181,12 +472,12 @@ function extractPageContent($, url) {
         description,
         content,
         headings,
-        wordCount: content.split(' ').length,
+        wordCount: content.split(/\s+/).length,
         extractedAt: new Date().toISOString()
     };
 }
 
-function extractLinksFromPage($, currentUrl, baseUrl, includeExternalLinks) {
+function extractLinksFromPage($, currentUrl, baseUrl, includeExternalLinks, includeDocuments = false) {
     const links = [];
     const currentDomain = new URL(baseUrl).hostname;
     
@@ -199,8 +490,9 @@ function extractLinksFromPage($, currentUrl, baseUrl, includeExternalLinks) {
             // Skip non-HTTP(S) links
             if (!['http:', 'https:'].includes(urlObj.protocol)) return;
             
-            // Skip file extensions that aren't web pages
-            const skipExtensions = ['.pdf', '.doc', '.docx', '.xls', '.xlsx', '.ppt', '.pptx', '.zip', '.tar', '.gz', '.jpg', '.jpeg', '.png', '.gif', '.svg', '.mp3', '.mp4', '.avi'];
+            // Skip file extensions that aren't web pages (PDF and DOCX are kept when documents are indexed)
+            const skipExtensions = ['.pdf', '.doc', '.docx', '.xls', '.xlsx', '.ppt', '.pptx', '.zip', '.tar', '.gz', '.jpg', '.jpeg', '.png', '.gif', '.svg', '.mp3', '.mp4', '.avi']
+                .filter(ext => !(includeDocuments && DOCUMENT_LINK_EXTENSIONS.includes(ext)));
             if (skipExtensions.some(ext => urlObj.pathname.toLowerCase().endsWith(ext))) return;
             
             // Include external links only if specified
@@ -210,7 +502,7 @@ function extractLinksFromPage($, currentUrl, baseUrl, includeExternalLinks) {
             const skipPatterns = ['/wp-admin/', '/admin/', '/login/', '/logout/', '/register/', '/cart/', '/checkout/'];
             if (skipPatterns.some(pattern => urlObj.pathname.includes(pattern))) return;
             
-            links.push(absoluteUrl);
+            links.push(normalizeUrl(absoluteUrl));
         } catch (error) {
             // Invalid URL, skip
         }
@@ -219,7 +511,74 @@ function extractLinksFromPage($, currentUrl, baseUrl, includeExternalLinks) {
     return [...new Set(links)]; // Remove duplicates
 }
 
+// The normalised <link rel="canonical"> URL of a page, or null when it has none or it is not HTTP(S)
+function extractCanonicalUrl($, currentUrl) {
+    const href = $('link[rel~="canonical"]').first().attr('href');
+    if (!href) return null;
+    
+    try {
+        const canonicalUrl = new URL(href.trim(), currentUrl);
+        return ['http:', 'https:'].includes(canonicalUrl.protocol) ? normalizeUrl(canonicalUrl.href) : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+// Page-shaped record for a linked PDF or DOCX, so it is chunked, hashed and tracked like any crawled page
+async function extractLinkedDocument(buffer, documentType, url, referrer = null) {
+    const { text, title } = await extractTextFromBuffer(buffer, documentType, url);
+    const content = (text || '').replace(/\s+/g, ' ').trim();
+    const filename = decodeURIComponent(new URL(url).pathname.split('/').pop() || '');
+    
+    console.log(`📄 Parsed ${documentType.toUpperCase()}: ${url}${referrer ? ` (linked from ${referrer.url})` : ''}`);
+    
+    return {
+        url,
+        title: title || filename || url,
+        description: '',
+        content,
+        headings: [],
+        wordCount: content.split(' ').length,
+        extractedAt: new Date().toISOString(),
+        documentType,
+        referrer
+    };
+}
+
+// Build website chunks for simple text search when no embedder is available
+function chunkPagesWithoutEmbeddings(pages) {
+    const websiteChunks = [];
+    
+    pages.forEach((page, pageIndex) => {
+        console.log(`Processing: ${page.title}`);
+        
+        const chunks = chunkWebsitePage(page);
+        
+        // Store chunks without embeddings for simple text search
+        for (let i = 0; i < chunks.length; i++) {
+            const { chunk, ...section } = chunks[i];
+            websiteChunks.push({
+                chunk,
+                embedding: null, // No embedding when embedder unavailable
+                ...websiteChunkFields(page),
+                ...section,
+                chunkIndex: i,
+                pageIndex
+            });
+        }
+    });
+    
+    return websiteChunks;
+}
+
+// Returns { pages, chunks, changes } - website pages in the index afterwards, chunks embedded by this crawl
+// and the added/updated/removed/unchanged counts. An aborted options.signal leaves the index untouched.
 async function crawlAndIndexWebsite(baseUrl = null, options = {}) {
+    const {
+        incremental = true,
+        progress = createCrawlProgress(options.maxPages),
+        signal = null
+    } = options;
     let targetUrl = baseUrl;
     
     if (!targetUrl) {
@@ -229,6 +588,7 @@ async function crawlAndIndexWebsite(baseUrl = null, options = {}) {
     console.log(`\n=== CRAWL AND INDEX WEBSITE ===`);
     console.log('Detected URL:', targetUrl);
     console.log('Environment:', isAzureAppService ? 'Azure App Service' : 'Local');
+    console.log('Mode:', incremental ? 'incremental' : 'full');
     
     try {
         // Validate URL format
@@ -237,117 +597,160 @@ async function crawlAndIndexWebsite(baseUrl = null, options = {}) {
             throw new Error('Invalid URL protocol. Must be HTTP or HTTPS.');
         }
         
+        const states = await getPageStates();
+        const indexedPages = getIndexedWebsitePages();
+        
+        // A page can only be skipped when its indexed copy is still usable - everything else is fetched in full
+        const knownPages = new Map();
+        if (incremental) {
+            for (const [url, compatible] of indexedPages) {
+                if (compatible && states.has(url)) {
+                    knownPages.set(url, states.get(url));
+                }
+            }
+        }
+        
         // Crawl the website
-        const pages = await crawlWebsite(targetUrl, options);
+        const { pages, unchangedPages, goneUrls, complete } = await crawlWebsite(targetUrl, { ...options, knownPages, progress });
         
-        if (pages.length === 0) {
+        // Indexed pages that were not seen are removed when they are gone, when the crawl reached every
+        // linked page without finding them, when this crawl's rules leave them out of scope, or when
+        // they were indexed under a URL that no longer normalises to itself
+        const scope = createCrawlScope(targetUrl, options);
+        const seenUrls = new Set([...pages, ...unchangedPages].map(page => page.url));
+        const failedUrls = new Set(progress.errors.map(error => error.url));
+        const removedUrls = [...indexedPages.keys()].filter(url => !seenUrls.has(url) && (
+            goneUrls.has(url) ||
+            (complete && !failedUrls.has(url)) ||
+            !scope.isInScope(url) ||
+            normalizeUrl(url) !== url
+        ));
+        
+        const changes = {
+            added: pages.filter(page => !indexedPages.has(page.url)).length,
+            updated: pages.filter(page => indexedPages.has(page.url)).length,
+            removed: removedUrls.length,
+            unchanged: unchangedPages.length
+        };
+        progress.changes = changes;
+        console.log(`Changes: ${changes.added} added, ${changes.updated} updated, ${changes.removed} removed, ${changes.unchanged} unchanged`);
+        
+        if (seenUrls.size === 0 && removedUrls.length === 0) {
             console.log('No pages found to index');
-            return [];
+            return { pages: indexedPages.size, chunks: 0, changes };
         }
         
+        // Only new and changed pages are chunked and embedded
         const embedder = getEmbedder();
-        let documentEmbeddings = getDocumentEmbeddings();
-        
-        // For Azure App Service OR when embedder is not available, store pages without embeddings
-        if (isAzureAppService || !embedder) {
-            console.log('🌐 Storing pages without embeddings (Azure App Service mode or embedder unavailable)');
-            
-            // Remove old website content
-            documentEmbeddings = documentEmbeddings.filter(d => d.type !== 'website');
-            setDocumentEmbeddings(documentEmbeddings);
-            
-            // Create simple chunks without embeddings
-            const websiteChunks = [];
-            
-            for (const page of pages) {
-                console.log(`Processing: ${page.title}`);
-                
-                // Create structured content for better chunking
-                let structuredContent = `${page.title}\n\n`;
-                if (page.description) {
-                    structuredContent += `${page.description}\n\n`;
-                }
-                structuredContent += page.content;
-                
-                // Chunk the content
-                const chunks = chunkText(structuredContent, 500, 50);
-                
-                // Store chunks without embeddings for simple text search
-                for (let i = 0; i < chunks.length; i++) {
-                    const chunk = chunks[i];
-                    websiteChunks.push({
-                        chunk,
-                        embedding: null, // No embedding when embedder unavailable
-                        source: `${page.title} (${page.url})`,
-                        url: page.url,
-                        title: page.title,
-                        chunkIndex: i,
-                        pageIndex: pages.indexOf(page),
-                        type: 'website'
-                    });
-                }
+        let websiteChunks = [];
+        if (pages.length > 0) {
+            if (!embedder) {
+                // When no embedder is available, store pages without embeddings for BM25 search
+                console.log('🌐 Storing pages without embeddings (embedder unavailable)');
             }
-            
-            // Add chunks to storage
-            documentEmbeddings.push(...websiteChunks);
-            setDocumentEmbeddings(documentEmbeddings);
-            
-            // Add website info to document store
-            const websiteDoc = {
-                filename: `Website: ${targetUrl}`,
-                type: 'website',
-                uploadedAt: new Date().toISOString(),
-                chunks: websiteChunks.length,
-                pages: pages.length,
-                totalLength: pages.reduce((sum, page) => sum + page.content.length, 0),
-                baseUrl: targetUrl,
-                note: embedder ? 'With embeddings' : 'No embeddings - text search only'
-            };
-            
-            addToDocumentStore(websiteDoc);
-            
-            logSuccess(`Website indexing complete (${embedder ? 'with' : 'without'} embeddings): ${pages.length} pages, ${websiteChunks.length} chunks`);
-            return pages;
-            
-        } else {
-            // Local development with embeddings available
-            const websiteChunks = await processWebsitePages(pages);
-            
-            // Remove old website content
-            documentEmbeddings = documentEmbeddings.filter(d => d.type !== 'website');
-            
-            // Add new website content
-            documentEmbeddings.push(...websiteChunks);
-            setDocumentEmbeddings(documentEmbeddings);
-            
-            // Add website info to document store
-            const websiteDoc = {
-                filename: `Website: ${targetUrl}`,
-                type: 'website',
-                uploadedAt: new Date().toISOString(),
-                chunks: websiteChunks.length,
-                pages: pages.length,
-                totalLength: pages.reduce((sum, page) => sum + page.content.length, 0),
-                baseUrl: targetUrl
-            };
-            
-            addToDocumentStore(websiteDoc);
-            
-            logSuccess(`Website indexing complete: ${pages.length} pages, ${websiteChunks.length} chunks`);
-            return pages;
+            websiteChunks = embedder
+                ? await processWebsitePages(pages)
+                : chunkPagesWithoutEmbeddings(pages);
         }
         
+        // Embedding can take a while - a cancel that arrives meanwhile still discards the crawl
+        throwIfCancelled(signal);
+        
+        replaceSources([...pages.map(page => page.url), ...removedUrls].map(createSourceId), websiteChunks);
+        
+        // Remember validators and hashes for the next crawl
+        pages.forEach(page => states.set(page.url, page.pageState));
+        unchangedPages.forEach(pageState => states.set(pageState.url, pageState));
+        
+        const websitePages = getIndexedWebsitePages();
+        for (const url of states.keys()) {
+            if (!websitePages.has(url)) states.delete(url);
+        }
+        savePageStates();
+        
+        // Replace previous website info in document store
+        removeFromDocumentStore(d => d.type === 'website');
+        const websiteDoc = {
+            filename: `Website: ${targetUrl}`,
+            type: 'website',
+            uploadedAt: new Date().toISOString(),
+            chunks: getDocumentEmbeddings().filter(d => d.type === 'website').length,
+            pages: websitePages.size,
+            totalLength: [...websitePages.keys()].reduce((sum, url) => sum + (states.get(url)?.contentLength || 0), 0),
+            baseUrl: targetUrl,
+            lastCrawlChanges: changes
+        };
+        if (!embedder) {
+            websiteDoc.note = 'No embeddings - text search only';
+        }
+        
+        addToDocumentStore(websiteDoc);
+        
+        logSuccess(`Website indexing complete (${embedder ? 'with' : 'without'} embeddings): ${websitePages.size} pages, ${websiteChunks.length} new chunks`);
+        return { pages: websitePages.size, chunks: websiteChunks.length, changes };
+        
     } catch (error) {
-        logError(`Error during website crawl and index: ${error.message}`);
-        websiteCrawlData.crawlInProgress = false;
+        if (error.name !== 'AbortError') {
+            logError(`Error during website crawl and index: ${error.message}`);
+        }
         throw error;
     }
 }
 
+// Re-fetch a single crawled page and replace its chunks
+async function reindexWebsitePage(url, options = {}) {
+    const { userAgent = 'WebAppChatbot/1.0' } = options;
+    
+    console.log(`\n=== RE-INDEXING PAGE: ${url} ===`);
+    
+    const response = await fetchWithPolicy(url, {
+        timeout: 10000,
+        headers: {
+            'User-Agent': userAgent
+        },
+        maxBytes: Math.max(crawlMaxResponseMb, websiteMaxDocumentMb) * 1024 * 1024
+    });
+    
+    const contentType = response.headers['content-type'] || '';
+    const documentType = detectDocumentType(contentType, url);
+    const states = await getPageStates();
+    let pageData;
+    let links = [];
+    
+    if (documentType) {
+        pageData = await extractLinkedDocument(Buffer.from(response.data), documentType, url, states.get(url)?.referrer);
+    } else if (isHtmlContentType(contentType)) {
+        const $ = cheerio.load(Buffer.from(response.data).toString('utf8'));
+        links = extractLinksFromPage($, url, url, false);
+        pageData = extractPageContent($, url);
+    } else {
+        throw new Error(`Unsupported content type: ${contentType || 'unknown'}`);
+    }
+    
+    if (pageData.content.trim().length <= 100) {
+        throw new Error('Page no longer has substantial content');
+    }
+    
+    const embedder = getEmbedder();
+    const pageChunks = !embedder
+        ? chunkPagesWithoutEmbeddings([pageData])
+        : await processWebsitePages([pageData]);
+    
+    replaceSourceChunks(createSourceId(url), pageChunks);
+    
+    // Keep the crawl state in step so the next incremental crawl compares against this copy
+    states.set(url, buildPageState(url, response, pageData, links));
+    savePageStates();
+    
+    logSuccess(`Page re-indexed: ${pageData.title} (${pageChunks.length} chunks)`);
+    return { url, title: pageData.title, chunks: pageChunks.length };
+}
+
 module.exports = {
     crawlWebsite,
     extractPageContent,
     extractLinksFromPage,
     crawlAndIndexWebsite,
-    getWebsiteCrawlData: () => websiteCrawlData
+    reindexWebsitePage,
+    createCrawlProgress
 };
\ No newline at end of file
@@ -0,0 +1,224 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const pdfParse = require('pdf-parse');
+const mammoth = require('mammoth');
+const { chunkText, chunkMarkdown } = require('../utils/textUtils');
+const {
+    generateEmbedding,
+    getEmbedder,
+    getEmbeddingModelId,
+    getDocumentStore,
+    addChunks,
+    addToDocumentStore,
+    replaceSourceChunks
+} = require('./ragService');
+const { logSuccess, logWarning, logError } = require('../utils/logger');
+
+// Parsers by Content-Type, and by extension for servers that send a generic type
+const DOCUMENT_CONTENT_TYPES = {
+    'application/pdf': 'pdf',
+    'application/vnd.openxmlformats-officedocument.wordprocessingml.document': 'docx'
+};
+const DOCUMENT_EXTENSIONS = {
+    '.pdf': 'pdf',
+    '.docx': 'docx'
+};
+const GENERIC_CONTENT_TYPES = ['', 'application/octet-stream', 'binary/octet-stream', 'application/download', 'application/force-download'];
+
+// Pick a parser for a downloaded file. The Content-Type wins; the URL extension is only trusted when
+// the type says nothing more specific. Returns 'pdf', 'docx' or null.
+function detectDocumentType(contentType, url) {
+    const mimeType = (contentType || '').split(';')[0].trim().toLowerCase();
+    
+    if (DOCUMENT_CONTENT_TYPES[mimeType]) {
+        return DOCUMENT_CONTENT_TYPES[mimeType];
+    }
+    if (!GENERIC_CONTENT_TYPES.includes(mimeType)) {
+        return null;
+    }
+    
+    try {
+        return DOCUMENT_EXTENSIONS[path.extname(new URL(url).pathname).toLowerCase()] || null;
+    } catch (error) {
+        return null;
+    }
+}
+
+// Extract text from a PDF or DOCX held in memory. Returns { text, title } - title is null when the file has none.
+async function extractTextFromBuffer(buffer, documentType, name = 'document') {
+    switch (documentType) {
+        case 'pdf': {
+            const result = await pdfParse(buffer);
+            return { text: result.text, title: result.info?.Title?.trim() || null };
+        }
+        case 'docx': {
+            const result = await mammoth.extractRawText({ buffer });
+            if (result.messages && result.messages.length > 0) {
+                logWarning(`mammoth reported ${result.messages.length} message(s) for ${name}`);
+            }
+            return { text: result.value, title: null };
+        }
+        default:
+            throw new Error(`Unsupported document type: ${documentType}`);
+    }
+}
+
+// Extract plain text from an uploaded file based on its extension
+async function extractTextFromFile(filePath, originalName) {
+    const ext = path.extname(originalName).toLowerCase();
+    
+    switch (ext) {
+        case '.pdf':
+        case '.docx': {
+            const buffer = await fs.readFile(filePath);
+            const { text } = await extractTextFromBuffer(buffer, DOCUMENT_EXTENSIONS[ext], originalName);
+            return text;
+        }
+        case '.txt':
+        case '.md':
+            return await fs.readFile(filePath, 'utf8');
+        default:
+            throw new Error(`Unsupported file type: ${ext}`);
+    }
+}
+
+// Split an uploaded file's text. Markdown is cut at its headings like a crawled page, so each chunk
+// carries its heading path (and the {#anchor} of its section when the file sets one); other files by words.
+function splitDocumentText(text, filename) {
+    if (path.extname(filename).toLowerCase() === '.md') {
+        return chunkMarkdown(text).map(({ text: chunk, headingPath, anchor }) => ({ chunk, headingPath, anchor }));
+    }
+    return chunkText(text).map(chunk => ({ chunk }));
+}
+
+// Chunk and (when possible) embed extracted text for a single uploaded file.
+// Throws when any chunk fails to embed, so a document is never left half-indexed.
+async function buildDocumentChunks(text, documentId, filename) {
+    const chunks = splitDocumentText(text, filename);
+    const embedder = getEmbedder();
+    
+    if (!embedder) {
+        console.log('📝 Embedder unavailable - storing document chunks without embeddings');
+    }
+    
+    const documentChunks = [];
+    const failures = [];
+    
+    for (let i = 0; i < chunks.length; i++) {
+        const { chunk, ...section } = chunks[i];
+        let embedding = null;
+        
+        if (embedder) {
+            try {
+                embedding = await generateEmbedding(chunk);
+            } catch (error) {
+                logError(`Error generating embedding for chunk ${i} of ${filename}: ${error.message}`);
+                failures.push(error.message);
+                continue;
+            }
+        }
+        
+        documentChunks.push({
+            chunk,
+            embedding,
+            embeddingModel: embedding ? getEmbeddingModelId() : null,
+            sourceId: documentId,
+            source: filename,
+            url: null,
+            title: filename,
+            ...section,
+            chunkIndex: i,
+            documentId,
+            type: 'document'
+        });
+    }
+    
+    if (failures.length > 0) {
+        throw new Error(`Embedding failed for ${failures.length} of ${chunks.length} chunks: ${failures[0]}`);
+    }
+    
+    return documentChunks;
+}
+
+async function processDocument(file) {
+    console.log(`\n=== PROCESSING DOCUMENT: ${file.originalname} ===`);
+    
+    const text = await extractTextFromFile(file.path, file.originalname);
+    
+    if (!text || !text.trim()) {
+        throw new Error('No text content could be extracted from the file');
+    }
+    
+    const documentId = crypto.randomUUID();
+    const documentChunks = await buildDocumentChunks(text, documentId, file.originalname);
+    
+    const documentInfo = {
+        id: documentId,
+        filename: file.originalname,
+        type: 'document',
+        mimetype: file.mimetype,
+        filePath: file.path,
+        size: file.size,
+        uploadedAt: new Date().toISOString(),
+        chunks: documentChunks.length,
+        totalLength: text.length,
+        note: getEmbedder() ? 'With embeddings' : 'No embeddings - text search only'
+    };
+    
+    // Add chunks and document info to storage
+    addToDocumentStore(documentInfo);
+    addChunks(documentChunks);
+    
+    logSuccess(`Document indexed: ${file.originalname} (${documentChunks.length} chunks)`);
+    return documentInfo;
+}
+
+// Re-parse a previously uploaded file from disk and replace its chunks
+async function reindexDocument(documentId) {
+    const documentInfo = getDocumentStore().find(d => d.id === documentId && d.type === 'document');
+    
+    if (!documentInfo) {
+        throw new Error(`Document not found: ${documentId}`);
+    }
+    
+    console.log(`\n=== RE-INDEXING DOCUMENT: ${documentInfo.filename} ===`);
+    
+    const text = await extractTextFromFile(documentInfo.filePath, documentInfo.filename);
+    
+    if (!text || !text.trim()) {
+        throw new Error('No text content could be extracted from the file');
+    }
+    
+    const documentChunks = await buildDocumentChunks(text, documentId, documentInfo.filename);
+    
+    documentInfo.chunks = documentChunks.length;
+    documentInfo.totalLength = text.length;
+    documentInfo.reindexedAt = new Date().toISOString();
+    documentInfo.note = getEmbedder() ? 'With embeddings' : 'No embeddings - text search only';
+    
+    replaceSourceChunks(documentId, documentChunks);
+    
+    logSuccess(`Document re-indexed: ${documentInfo.filename} (${documentChunks.length} chunks)`);
+    return documentInfo;
+}
+
+// Remove the stored upload once its source has been deleted from the index
+async function deleteDocumentFile(documentInfo) {
+    if (!documentInfo || !documentInfo.filePath) return;
+    
+    try {
+        await fs.unlink(documentInfo.filePath);
+    } catch (error) {
+        logWarning(`Could not delete uploaded file ${documentInfo.filePath}: ${error.message}`);
+    }
+}
+
+module.exports = {
+    detectDocumentType,
+    extractTextFromBuffer,
+    extractTextFromFile,
+    processDocument,
+    reindexDocument,
+    deleteDocumentFile
+};
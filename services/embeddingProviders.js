@@ -0,0 +1,96 @@
+const { isAzureAppService, embeddings: embeddingConfig } = require('../config/environment');
+const { conditionallyLoadTransformers, getTransformersAvailable } = require('../models/localModels');
+const { createLlmProvider } = require('../models/llmProviders');
+const { logWarning } = require('../utils/logger');
+
+// Chunks indexed before providers existed were always embedded with MiniLM
+const LEGACY_EMBEDDING_MODEL = 'transformers:Xenova/all-MiniLM-L6-v2';
+
+// Transformers.js backend - runs MiniLM on the local CPU
+function createTransformersProvider() {
+    const model = embeddingConfig.transformersModel;
+    let pipe = null;
+    
+    return {
+        name: 'transformers',
+        model,
+        modelId: `transformers:${model}`,
+        
+        async initialize() {
+            if (pipe) return true;
+            
+            // Transformers.js is never loaded in Azure App Service
+            if (isAzureAppService) {
+                logWarning('Azure App Service detected - Transformers.js embeddings not available');
+                return false;
+            }
+            
+            if (!getTransformersAvailable()) {
+                const loaded = await conditionallyLoadTransformers();
+                if (!loaded) {
+                    logWarning('Transformers not available - embedder cannot be initialized');
+                    return false;
+                }
+            }
+            
+            const { pipeline } = await import('@xenova/transformers');
+            pipe = await pipeline('feature-extraction', model);
+            return true;
+        },
+        
+        async embed(text) {
+            const result = await pipe(text, { pooling: 'mean', normalize: true });
+            return Array.from(result.data);
+        }
+    };
+}
+
+// Azure OpenAI, OpenAI, OpenAI-compatible servers and Ollama - reuses the chat provider's connection settings,
+// or for Azure its embeddings deployment (AZURE_OPENAI_EMBEDDING_*), which works everywhere including App Service
+function createLlmEmbeddingProvider(name) {
+    const llmProvider = createLlmProvider(name);
+    
+    return {
+        name,
+        model: llmProvider.embeddingModel,
+        modelId: `${name}:${llmProvider.embeddingModel}`,
+        
+        async initialize() {
+            if (!llmProvider.capabilities.embeddings) {
+                logWarning(`${llmProvider.label} embeddings not configured - set the provider's embedding model`);
+                return false;
+            }
+            
+            const { ready, error } = llmProvider.getEmbeddingStatus();
+            if (!ready) {
+                logWarning(`${llmProvider.label} embeddings not available: ${error}`);
+                return false;
+            }
+            return true;
+        },
+        
+        embed: (text) => llmProvider.embed(text)
+    };
+}
+
+const providerFactories = {
+    'transformers': createTransformersProvider,
+    'azure-openai': () => createLlmEmbeddingProvider('azure-openai'),
+    'openai': () => createLlmEmbeddingProvider('openai'),
+    'openai-compatible': () => createLlmEmbeddingProvider('openai-compatible'),
+    'ollama': () => createLlmEmbeddingProvider('ollama')
+};
+
+function createEmbeddingProvider(name = embeddingConfig.provider) {
+    const factory = providerFactories[name];
+    if (!factory) {
+        throw new Error(`Unknown embedding provider: ${name}. Expected one of: ${Object.keys(providerFactories).join(', ')}`);
+    }
+    return factory();
+}
+
+module.exports = {
+    LEGACY_EMBEDDING_MODEL,
+    createEmbeddingProvider,
+    getAvailableEmbeddingProviders: () => Object.keys(providerFactories)
+};
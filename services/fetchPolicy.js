@@ -0,0 +1,283 @@
+// Outbound request policy for crawler fetches: blocks internal addresses, off-list domains,
+// unexpected content types and oversized responses, and re-checks every redirect hop
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const axios = require('axios');
+const { crawlAllowedDomains, crawlAllowPrivateNetworks, crawlMaxResponseMb } = require('../config/environment');
+const { detectBaseUrl } = require('../utils/urlUtils');
+
+const MAX_REDIRECTS = 5;
+const REDIRECT_STATUSES = [301, 302, 303, 307, 308];
+
+// Addresses the crawler must never reach: "this" network, private, carrier-grade NAT, loopback,
+// link-local (including the 169.254.169.254 metadata endpoint), documentation, benchmarking,
+// multicast and reserved ranges, plus their IPv6 counterparts
+const BLOCKED_SUBNETS = [
+    ['0.0.0.0', 8, 'ipv4'],
+    ['10.0.0.0', 8, 'ipv4'],
+    ['100.64.0.0', 10, 'ipv4'],
+    ['127.0.0.0', 8, 'ipv4'],
+    ['169.254.0.0', 16, 'ipv4'],
+    ['172.16.0.0', 12, 'ipv4'],
+    ['192.0.0.0', 24, 'ipv4'],
+    ['192.0.2.0', 24, 'ipv4'],
+    ['192.168.0.0', 16, 'ipv4'],
+    ['198.18.0.0', 15, 'ipv4'],
+    ['198.51.100.0', 24, 'ipv4'],
+    ['203.0.113.0', 24, 'ipv4'],
+    ['224.0.0.0', 4, 'ipv4'],
+    ['240.0.0.0', 4, 'ipv4'],
+    ['::', 127, 'ipv6'],
+    ['fc00::', 7, 'ipv6'],
+    ['fe80::', 10, 'ipv6'],
+    ['ff00::', 8, 'ipv6'],
+    ['2001:db8::', 32, 'ipv6']
+];
+// Azure's platform endpoint (WireServer) is a public address that only answers from inside Azure
+const BLOCKED_ADDRESSES = ['168.63.129.16'];
+
+// Refused even with CRAWL_ALLOW_PRIVATE_NETWORKS and for the app's own site: link-local, where the
+// instance metadata endpoints live, and WireServer. No intranet site is served from them.
+const PLATFORM_SUBNETS = [
+    ['169.254.0.0', 16, 'ipv4'],
+    ['fe80::', 10, 'ipv6']
+];
+
+// Paths of the app's own site that are never crawled - the API, including /api/debug
+const OWN_API_PATH = /^\/api(\/|$)/i;
+
+function createBlockList(subnets, addresses) {
+    const list = new net.BlockList();
+    subnets.forEach(([network, prefix, family]) => list.addSubnet(network, prefix, family));
+    addresses.forEach(address => list.addAddress(address, 'ipv4'));
+    return list;
+}
+
+const blockList = createBlockList(BLOCKED_SUBNETS, BLOCKED_ADDRESSES);
+const platformBlockList = createBlockList(PLATFORM_SUBNETS, BLOCKED_ADDRESSES);
+
+// Errors raised by the policy are named like the AbortError crawls already use, and carry
+// blocked: true and a reason so crawl errors can report why a URL was refused
+function blockedError(url, reason, message) {
+    const error = new Error(`Blocked ${url}: ${message}`);
+    error.name = 'BlockedRequestError';
+    error.code = 'ERR_BLOCKED_BY_POLICY';
+    error.blocked = true;
+    error.reason = reason;
+    return error;
+}
+
+// IPv4 addresses tunnelled in IPv6 (::ffff:a.b.c.d, NAT64 64:ff9b::a.b.c.d) are judged as IPv4
+function embeddedIPv4(address) {
+    const dotted = address.match(/^(?:::ffff:|64:ff9b::)(\d+\.\d+\.\d+\.\d+)$/i);
+    if (dotted) return dotted[1];
+    
+    const hex = address.match(/^(?:::ffff:|64:ff9b::)([0-9a-f]{1,4}):([0-9a-f]{1,4})$/i);
+    if (hex) {
+        const high = parseInt(hex[1], 16);
+        const low = parseInt(hex[2], 16);
+        return [high >> 8, high & 255, low >> 8, low & 255].join('.');
+    }
+    return null;
+}
+
+// platformOnly: only the ranges that stay blocked when private networks are allowed
+function isBlockedAddress(address, platformOnly = false) {
+    const list = platformOnly ? platformBlockList : blockList;
+    if (net.isIPv6(address)) {
+        const ipv4 = embeddedIPv4(address);
+        return ipv4 ? isBlockedAddress(ipv4, platformOnly) : list.check(address, 'ipv6');
+    }
+    return list.check(address, 'ipv4');
+}
+
+// Allow-list entries match the domain and its subdomains; a leading "*." is optional
+function isAllowedDomain(hostname) {
+    if (crawlAllowedDomains.length === 0) return true;
+    
+    return crawlAllowedDomains.some(entry => {
+        const domain = entry.toLowerCase().replace(/^\*\./, '');
+        return hostname === domain || hostname.endsWith(`.${domain}`);
+    });
+}
+
+// This app's own site - the auto-crawl target - may be on a private address, even localhost
+function isOwnOrigin(urlObj) {
+    try {
+        return urlObj.origin === new URL(detectBaseUrl()).origin;
+    } catch (error) {
+        return false;
+    }
+}
+
+// Resolve at connect time too, and refuse blocked addresses there, so a DNS answer that changes
+// between the check and the request (DNS rebinding) can't reach an internal host
+function createGuardedLookup(platformOnly) {
+    return (hostname, options, callback) => {
+        dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+            if (error) return callback(error);
+            
+            const blocked = addresses.find(entry => isBlockedAddress(entry.address, platformOnly));
+            if (blocked) {
+                return callback(blockedError(hostname, 'private-address', `${hostname} resolves to blocked address ${blocked.address}`));
+            }
+            if (options.all) return callback(null, addresses);
+            callback(null, addresses[0].address, addresses[0].family);
+        });
+    };
+}
+
+function createGuardedAgents(platformOnly) {
+    const lookup = createGuardedLookup(platformOnly);
+    return {
+        httpAgent: new http.Agent({ lookup }),
+        httpsAgent: new https.Agent({ lookup })
+    };
+}
+
+const guardedAgents = createGuardedAgents(false);
+const platformGuardedAgents = createGuardedAgents(true);
+
+// Check a URL against the outbound policy before connecting: HTTP(S) only, on the allow-list when one
+// is configured, and resolving only to public addresses. The app's own site (minus its API) and, with
+// CRAWL_ALLOW_PRIVATE_NETWORKS, any host may resolve to a private address but never to a platform one.
+// Returns true when only the platform ranges were checked.
+async function checkUrl(url) {
+    let urlObj;
+    try {
+        urlObj = new URL(url);
+    } catch (error) {
+        throw blockedError(url, 'invalid-url', 'not a valid URL');
+    }
+    
+    if (!['http:', 'https:'].includes(urlObj.protocol)) {
+        throw blockedError(url, 'protocol', `${urlObj.protocol} URLs are not fetched`);
+    }
+    
+    const hostname = urlObj.hostname.replace(/^\[|\]$/g, '').toLowerCase();
+    const ownSite = isOwnOrigin(urlObj);
+    if (ownSite && OWN_API_PATH.test(urlObj.pathname)) {
+        throw blockedError(url, 'own-api', 'the app\'s own API is not crawled');
+    }
+    if (!ownSite && !isAllowedDomain(hostname)) {
+        throw blockedError(url, 'domain', `${hostname} is not in CRAWL_ALLOWED_DOMAINS`);
+    }
+    const platformOnly = ownSite || crawlAllowPrivateNetworks;
+    
+    if (net.isIP(hostname)) {
+        if (isBlockedAddress(hostname, platformOnly)) {
+            throw blockedError(url, 'private-address', `${hostname} is a ${platformOnly ? 'link-local or platform' : 'private, loopback, link-local or reserved'} address`);
+        }
+        return platformOnly;
+    }
+    
+    let addresses;
+    try {
+        addresses = await dns.promises.lookup(hostname, { all: true });
+    } catch (error) {
+        error.message = `DNS lookup failed for ${hostname}: ${error.message}`;
+        throw error;
+    }
+    const blocked = addresses.find(entry => isBlockedAddress(entry.address, platformOnly));
+    if (blocked) {
+        throw blockedError(url, 'private-address', `${hostname} resolves to blocked address ${blocked.address}`);
+    }
+    return platformOnly;
+}
+
+// Read a response stream into a Buffer, giving up as soon as it passes maxBytes
+function readBody(stream, maxBytes, url) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+        
+        stream.on('data', chunk => {
+            size += chunk.length;
+            if (size > maxBytes) {
+                stream.destroy();
+                reject(blockedError(url, 'size', `response is larger than ${maxBytes} bytes`));
+                return;
+            }
+            chunks.push(chunk);
+        });
+        stream.on('end', () => resolve(Buffer.concat(chunks)));
+        stream.on('error', reject);
+        stream.on('close', () => {
+            if (!stream.readableEnded) reject(new Error(`Response from ${url} ended early`));
+        });
+    });
+}
+
+// GET a URL under the outbound policy. Redirects are followed by hand so every hop is checked,
+// the body is only read when its Content-Type passes isAllowedContentType(contentType, url), and
+// reading stops at maxBytes. Resolves with the axios response, data as a Buffer; HTTP errors reject
+// like axios does, with error.response set.
+async function fetchWithPolicy(url, options = {}) {
+    const {
+        isAllowedContentType = () => true,
+        maxBytes = crawlMaxResponseMb * 1024 * 1024,
+        validateStatus = status => status >= 200 && status < 300,
+        ...requestOptions
+    } = options;
+    
+    let currentUrl = url;
+    for (let hop = 0; ; hop++) {
+        const platformOnly = await checkUrl(currentUrl);
+        const response = await axios.get(currentUrl, {
+            ...requestOptions,
+            ...(platformOnly ? platformGuardedAgents : guardedAgents),
+            responseType: 'stream',
+            maxRedirects: 0,
+            validateStatus: () => true
+        });
+        
+        if (REDIRECT_STATUSES.includes(response.status) && response.headers['location']) {
+            response.data.destroy();
+            if (hop >= MAX_REDIRECTS) {
+                throw blockedError(url, 'redirects', `more than ${MAX_REDIRECTS} redirects`);
+            }
+            currentUrl = new URL(response.headers['location'], currentUrl).href;
+            continue;
+        }
+        
+        if (!validateStatus(response.status)) {
+            response.data.destroy();
+            throw new axios.AxiosError(
+                `Request failed with status code ${response.status}`,
+                response.status >= 500 ? axios.AxiosError.ERR_BAD_RESPONSE : axios.AxiosError.ERR_BAD_REQUEST,
+                response.config,
+                response.request,
+                response
+            );
+        }
+        
+        if (response.status === 304 || response.status === 204) {
+            response.data.destroy();
+            response.data = Buffer.alloc(0);
+            return response;
+        }
+        
+        const contentType = response.headers['content-type'] || '';
+        if (!isAllowedContentType(contentType, currentUrl)) {
+            response.data.destroy();
+            throw blockedError(currentUrl, 'content-type', `content type ${contentType || 'unknown'} is not crawled`);
+        }
+        
+        const declaredLength = parseInt(response.headers['content-length']);
+        if (declaredLength > maxBytes) {
+            response.data.destroy();
+            throw blockedError(currentUrl, 'size', `response is ${declaredLength} bytes, over the ${maxBytes} byte limit`);
+        }
+        
+        response.data = await readBody(response.data, maxBytes, currentUrl);
+        return response;
+    }
+}
+
+module.exports = {
+    checkUrl,
+    fetchWithPolicy,
+    isBlockedAddress
+};
@@ -0,0 +1,95 @@
+const {
+    answerMode: defaultAnswerMode,
+    groundedPromptTemplate,
+    groundedMinSimilarity,
+    groundedMinBm25Score,
+    groundedMaxSuggestions
+} = require('../config/environment');
+
+// 'open': passages are used when they match, general knowledge otherwise
+// 'grounded': answers come only from passages, and questions the index can't answer are declined
+const ANSWER_MODES = ['open', 'grounded'];
+
+// Why a grounded answer was declined - reported as metadata.grounding.reason
+const DECLINE_REASONS = {
+    'retrieval-disabled': 'RAG was turned off for this request, so there are no passages to answer from',
+    'no-content': 'Nothing has been indexed yet',
+    'no-matches': 'No indexed content matched the question',
+    'low-score': 'The best match was below the grounding thresholds'
+};
+
+function bestScore(chunks, field) {
+    const scores = chunks.map(chunk => chunk[field]).filter(score => score !== null && score !== undefined);
+    return scores.length > 0 ? Math.max(...scores) : null;
+}
+
+// Grounded answers always use GROUNDED_PROMPT_TEMPLATE - another template would drop its "passages only" rules.
+// Returns why templateName can't be used for an answer in answerMode, or null when it can.
+function groundedTemplateConflict(templateName, answerMode) {
+    if ((answerMode || defaultAnswerMode) !== 'grounded') return null;
+    if (templateName === undefined || templateName === null || templateName === groundedPromptTemplate) return null;
+    
+    return `Grounded answers use the ${groundedPromptTemplate} prompt template (GROUNDED_PROMPT_TEMPLATE), not ${templateName}`;
+}
+
+// Pages a declined answer points to - the weak matches, one per page in rank order
+function suggestPages(chunks, limit = groundedMaxSuggestions) {
+    const pages = new Map();
+    
+    for (const chunk of chunks) {
+        const key = chunk.url || chunk.sourceId || chunk.source;
+        if (pages.has(key)) continue;
+        
+        pages.set(key, {
+            title: chunk.title || chunk.source,
+            url: chunk.deepLink || chunk.url || null,
+            pageUrl: chunk.url || null,
+            type: chunk.type
+        });
+    }
+    
+    return [...pages.values()].slice(0, limit);
+}
+
+// Decide whether the retrieved chunks can ground an answer. A chunk is a strong enough match when its vector
+// similarity reaches GROUNDED_MIN_SIMILARITY or its BM25 score reaches GROUNDED_MIN_BM25_SCORE - keyword-only
+// indexes have no similarities, and exact terms like product codes often match better by keyword.
+// Open mode never declines but reports the same scores.
+// Returns { answerMode, declined, reason, details, bestSimilarity, bestLexicalScore, minSimilarity, minLexicalScore }
+function assessGrounding(chunks, { answerMode = defaultAnswerMode, useRAG = true, indexedChunks = 0 } = {}) {
+    const bestSimilarity = bestScore(chunks, 'similarity');
+    const bestLexicalScore = bestScore(chunks, 'lexicalScore');
+    const strongMatch = (bestSimilarity !== null && bestSimilarity >= groundedMinSimilarity)
+        || (bestLexicalScore !== null && bestLexicalScore >= groundedMinBm25Score);
+    
+    let reason = null;
+    if (!useRAG) {
+        reason = 'retrieval-disabled';
+    } else if (indexedChunks === 0) {
+        reason = 'no-content';
+    } else if (chunks.length === 0) {
+        reason = 'no-matches';
+    } else if (!strongMatch) {
+        reason = 'low-score';
+    }
+    
+    const declined = answerMode === 'grounded' && reason !== null;
+    
+    return {
+        answerMode,
+        declined,
+        reason: declined ? reason : null,
+        details: declined ? DECLINE_REASONS[reason] : null,
+        bestSimilarity,
+        bestLexicalScore,
+        minSimilarity: groundedMinSimilarity,
+        minLexicalScore: groundedMinBm25Score
+    };
+}
+
+module.exports = {
+    ANSWER_MODES,
+    assessGrounding,
+    groundedTemplateConflict,
+    suggestPages
+};
@@ -0,0 +1,278 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const { ragDataDir, ragPersistIndex } = require('../config/environment');
+const { logSuccess, logWarning, logError } = require('../utils/logger');
+
+// On-disk layout:
+//   chunks.jsonl   - one checksummed chunk record per line, appended as content is indexed
+//   documents.json - snapshot of the document store
+//   manifest.json  - format version and expected counts, used to detect partial writes
+//   crawl-state.json - per-URL validators and content hashes for incremental recrawls
+const INDEX_VERSION = 1;
+const CHUNKS_FILE = 'chunks.jsonl';
+const DOCUMENTS_FILE = 'documents.json';
+const MANIFEST_FILE = 'manifest.json';
+const CRAWL_STATE_FILE = 'crawl-state.json';
+
+// State
+let writeQueue = Promise.resolve();
+let storageStatus = {
+    enabled: ragPersistIndex,
+    dataDir: ragDataDir,
+    loadedAt: null,
+    chunks: 0,
+    documents: 0,
+    corruptRecords: 0,
+    documentsCorrupt: false,
+    integrity: 'not-checked',
+    lastWrite: null,
+    lastError: null
+};
+
+function filePath(name) {
+    return path.join(ragDataDir, name);
+}
+
+function checksum(data) {
+    return crypto.createHash('sha1').update(data).digest('hex').substring(0, 12);
+}
+
+// Embeddings are held as Float32Array in memory but stored as plain JSON arrays
+function serializeValue(key, value) {
+    return value instanceof Float32Array ? Array.from(value) : value;
+}
+
+function serializeChunk(chunk) {
+    const data = JSON.stringify(chunk, serializeValue);
+    return `{"h":"${checksum(data)}","d":${data}}`;
+}
+
+// Parse a single JSONL line, returning null if it is truncated or fails its checksum
+function parseChunkRecord(line) {
+    try {
+        const record = JSON.parse(line);
+        if (!record || typeof record.h !== 'string' || !record.d) return null;
+        if (checksum(JSON.stringify(record.d)) !== record.h) return null;
+        return record.d;
+    } catch (error) {
+        return null;
+    }
+}
+
+async function readJsonFile(name) {
+    try {
+        const content = await fs.readFile(filePath(name), 'utf8');
+        return JSON.parse(content);
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            logWarning(`Could not read ${name}: ${error.message}`);
+        }
+        return null;
+    }
+}
+
+// Write to a temporary file first so a crash never leaves a half-written file in place
+async function writeFileAtomic(name, content) {
+    const target = filePath(name);
+    const temp = `${target}.tmp`;
+    await fs.writeFile(temp, content, 'utf8');
+    await fs.rename(temp, target);
+}
+
+function buildManifest(chunkCount, documentCount) {
+    return JSON.stringify({
+        version: INDEX_VERSION,
+        chunkCount,
+        documentCount,
+        updatedAt: new Date().toISOString()
+    }, null, 2);
+}
+
+// Serialise every write so appends and rewrites never interleave
+function enqueueWrite(description, task) {
+    writeQueue = writeQueue
+        .then(async () => {
+            await fs.mkdir(ragDataDir, { recursive: true });
+            await task();
+            storageStatus.lastWrite = new Date().toISOString();
+        })
+        .catch(error => {
+            storageStatus.lastError = `${description}: ${error.message}`;
+            logError(`Index storage ${description} failed: ${error.message}`);
+        });
+    return writeQueue;
+}
+
+async function backupFile(name) {
+    const backupName = `${name}.corrupt-${Date.now()}`;
+    try {
+        await fs.copyFile(filePath(name), filePath(backupName));
+        logWarning(`Backed up damaged ${name} to ${backupName}`);
+    } catch (error) {
+        logError(`Failed to back up ${name}: ${error.message}`);
+    }
+}
+
+async function loadIndex() {
+    if (!ragPersistIndex) {
+        console.log('💾 Index persistence disabled (RAG_PERSIST_INDEX=false)');
+        storageStatus.integrity = 'disabled';
+        return { documentStore: [], documentEmbeddings: [] };
+    }
+    
+    console.log(`💾 Loading persisted index from ${ragDataDir}`);
+    await fs.mkdir(ragDataDir, { recursive: true });
+    
+    const manifest = await readJsonFile(MANIFEST_FILE);
+    
+    if (manifest && manifest.version !== INDEX_VERSION) {
+        logWarning(`Index format version ${manifest.version} is not supported (expected ${INDEX_VERSION}) - starting with an empty index`);
+        await backupFile(CHUNKS_FILE);
+        await backupFile(DOCUMENTS_FILE);
+        storageStatus.integrity = 'version-mismatch';
+        await saveIndex([], []);
+        return { documentStore: [], documentEmbeddings: [] };
+    }
+    
+    // Unlike a missing file, a documents.json that won't parse is damage - keep a copy before it is rewritten
+    let documentStore = [];
+    let documentsCorrupt = false;
+    try {
+        documentStore = JSON.parse(await fs.readFile(filePath(DOCUMENTS_FILE), 'utf8'));
+        if (!Array.isArray(documentStore)) {
+            throw new Error('expected an array of documents');
+        }
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            logWarning(`Could not read ${DOCUMENTS_FILE}: ${error.message} - starting with an empty document store`);
+            await backupFile(DOCUMENTS_FILE);
+            documentsCorrupt = true;
+        }
+        documentStore = [];
+    }
+    
+    let lines = [];
+    try {
+        const content = await fs.readFile(filePath(CHUNKS_FILE), 'utf8');
+        lines = content.split('\n').filter(line => line.trim());
+    } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+    }
+    
+    const documentEmbeddings = [];
+    let corruptRecords = 0;
+    
+    for (const line of lines) {
+        const chunk = parseChunkRecord(line);
+        if (chunk) {
+            documentEmbeddings.push(chunk);
+        } else {
+            corruptRecords++;
+        }
+    }
+    
+    let integrity = documentsCorrupt ? 'recovered' : 'ok';
+    
+    if (corruptRecords > 0) {
+        logWarning(`Dropped ${corruptRecords} corrupt or truncated record(s) from ${CHUNKS_FILE}`);
+        await backupFile(CHUNKS_FILE);
+        integrity = 'recovered';
+    }
+    
+    if (manifest && manifest.chunkCount !== documentEmbeddings.length) {
+        logWarning(`Index manifest expected ${manifest.chunkCount} chunks but ${documentEmbeddings.length} were loaded - index may be partial`);
+        integrity = 'partial';
+    }
+    
+    // Rewrite a clean copy so the damage is not carried forward
+    if (integrity !== 'ok') {
+        await saveIndex(documentStore, documentEmbeddings);
+    }
+    
+    storageStatus = {
+        ...storageStatus,
+        loadedAt: new Date().toISOString(),
+        chunks: documentEmbeddings.length,
+        documents: documentStore.length,
+        corruptRecords,
+        documentsCorrupt,
+        integrity
+    };
+    
+    logSuccess(`Loaded persisted index: ${documentStore.length} documents, ${documentEmbeddings.length} chunks (${integrity})`);
+    return { documentStore, documentEmbeddings };
+}
+
+// Append newly indexed chunks without rewriting the existing file
+function appendChunks(chunks, documentStore, totalChunks) {
+    if (!ragPersistIndex || chunks.length === 0) return writeQueue;
+    
+    const lines = chunks.map(serializeChunk).join('\n') + '\n';
+    const documents = JSON.stringify(documentStore, null, 2);
+    const manifest = buildManifest(totalChunks, documentStore.length);
+    
+    return enqueueWrite('append', async () => {
+        await fs.appendFile(filePath(CHUNKS_FILE), lines, 'utf8');
+        await writeFileAtomic(DOCUMENTS_FILE, documents);
+        await writeFileAtomic(MANIFEST_FILE, manifest);
+        storageStatus.chunks = totalChunks;
+        storageStatus.documents = documentStore.length;
+    });
+}
+
+// Rewrite the whole index - used after removals and replacements
+function saveIndex(documentStore, documentEmbeddings) {
+    if (!ragPersistIndex) return writeQueue;
+    
+    const lines = documentEmbeddings.map(serializeChunk).join('\n') + (documentEmbeddings.length > 0 ? '\n' : '');
+    const documents = JSON.stringify(documentStore, null, 2);
+    const manifest = buildManifest(documentEmbeddings.length, documentStore.length);
+    
+    return enqueueWrite('save', async () => {
+        await writeFileAtomic(CHUNKS_FILE, lines);
+        await writeFileAtomic(DOCUMENTS_FILE, documents);
+        await writeFileAtomic(MANIFEST_FILE, manifest);
+        storageStatus.chunks = documentEmbeddings.length;
+        storageStatus.documents = documentStore.length;
+    });
+}
+
+function saveDocuments(documentStore, totalChunks) {
+    if (!ragPersistIndex) return writeQueue;
+    
+    const documents = JSON.stringify(documentStore, null, 2);
+    const manifest = buildManifest(totalChunks, documentStore.length);
+    
+    return enqueueWrite('save documents', async () => {
+        await writeFileAtomic(DOCUMENTS_FILE, documents);
+        await writeFileAtomic(MANIFEST_FILE, manifest);
+        storageStatus.documents = documentStore.length;
+    });
+}
+
+// Crawl state is only useful alongside the chunks it describes, so it follows the same persistence switch
+async function loadCrawlState() {
+    if (!ragPersistIndex) return {};
+    return await readJsonFile(CRAWL_STATE_FILE) || {};
+}
+
+function saveCrawlState(pages) {
+    if (!ragPersistIndex) return writeQueue;
+    
+    const content = JSON.stringify(pages, null, 2);
+    return enqueueWrite('save crawl state', async () => {
+        await writeFileAtomic(CRAWL_STATE_FILE, content);
+    });
+}
+
+module.exports = {
+    loadIndex,
+    appendChunks,
+    saveIndex,
+    saveDocuments,
+    loadCrawlState,
+    saveCrawlState,
+    flushWrites: () => writeQueue,
+    getStorageStatus: () => storageStatus
+};
@@ -0,0 +1,106 @@
+const { tokenize } = require('../utils/textUtils');
+
+// BM25 parameters: k1 controls term-frequency saturation, b controls length normalisation
+const K1 = 1.2;
+const B = 0.75;
+
+// State - inverted index keyed by the chunk objects held in ragService
+let documents = new Map();   // chunk -> { length, termFrequencies }
+let postings = new Map();    // term -> Set<chunk>
+let totalLength = 0;
+
+function addToLexicalIndex(chunks) {
+    for (const doc of chunks) {
+        if (documents.has(doc)) continue;
+        
+        const tokens = tokenize(`${doc.title || ''} ${doc.chunk}`);
+        const termFrequencies = new Map();
+        
+        for (const token of tokens) {
+            termFrequencies.set(token, (termFrequencies.get(token) || 0) + 1);
+        }
+        
+        for (const term of termFrequencies.keys()) {
+            if (!postings.has(term)) {
+                postings.set(term, new Set());
+            }
+            postings.get(term).add(doc);
+        }
+        
+        documents.set(doc, { length: tokens.length, termFrequencies });
+        totalLength += tokens.length;
+    }
+}
+
+function removeFromLexicalIndex(chunks) {
+    for (const doc of chunks) {
+        const entry = documents.get(doc);
+        if (!entry) continue;
+        
+        for (const term of entry.termFrequencies.keys()) {
+            const docs = postings.get(term);
+            if (!docs) continue;
+            docs.delete(doc);
+            if (docs.size === 0) {
+                postings.delete(term);
+            }
+        }
+        
+        totalLength -= entry.length;
+        documents.delete(doc);
+    }
+}
+
+function rebuildLexicalIndex(chunks) {
+    documents = new Map();
+    postings = new Map();
+    totalLength = 0;
+    addToLexicalIndex(chunks);
+}
+
+// Score chunks against a query, optionally restricted by a filter predicate
+function searchLexicalIndex(query, { topK = 3, filter = null } = {}) {
+    const queryTerms = [...new Set(tokenize(query))];
+    
+    if (queryTerms.length === 0 || documents.size === 0) {
+        return [];
+    }
+    
+    const averageLength = totalLength / documents.size || 1;
+    const scores = new Map();
+    
+    for (const term of queryTerms) {
+        const docs = postings.get(term);
+        if (!docs) continue;
+        
+        // Lucene-style idf that never goes negative for very common terms
+        const idf = Math.log(1 + (documents.size - docs.size + 0.5) / (docs.size + 0.5));
+        
+        for (const doc of docs) {
+            if (filter && !filter(doc)) continue;
+            
+            const { length, termFrequencies } = documents.get(doc);
+            const tf = termFrequencies.get(term);
+            const score = idf * (tf * (K1 + 1)) / (tf + K1 * (1 - B + B * length / averageLength));
+            
+            scores.set(doc, (scores.get(doc) || 0) + score);
+        }
+    }
+    
+    return [...scores.entries()]
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, topK)
+        .map(([doc, score]) => ({ doc, score }));
+}
+
+module.exports = {
+    addToLexicalIndex,
+    removeFromLexicalIndex,
+    rebuildLexicalIndex,
+    searchLexicalIndex,
+    getLexicalIndexStats: () => ({
+        documents: documents.size,
+        terms: postings.size,
+        averageLength: documents.size > 0 ? totalLength / documents.size : 0
+    })
+};
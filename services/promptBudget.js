@@ -0,0 +1,109 @@
+const { ragContextMaxTokens } = require('../config/environment');
+const { getCompletionTokenLimit } = require('../models/modelCapabilities');
+const { countTokens, countMessageTokens } = require('../utils/tokenizer');
+const { numberPassages, formatPassages } = require('../utils/citationUtils');
+const { logWarning } = require('../utils/logger');
+
+// Tokens one chat message adds to a prompt, framing included
+function messageTokens(message, tokenizer) {
+    return countMessageTokens([message], tokenizer) - countMessageTokens([], tokenizer);
+}
+
+// Fit one answer's prompt into the provider's context window.
+// chunks are the ranked retrieval results and history the earlier turns, oldest first. buildMessages(context, history)
+// assembles the chat messages from the formatted passages and the turns that were kept.
+// The completion's tokens are set aside first. Passages are packed in rank order up to RAG_CONTEXT_MAX_TOKENS,
+// skipping any that don't fit, and history gets what is left - so history is trimmed, oldest turns first,
+// before any passage is dropped.
+// Returns { messages, passages, budget } - passages are numbered for citation in the order they were packed.
+function fitPrompt(provider, { chunks, history, buildMessages, maxTokens }) {
+    const { contextWindow, tokenizer } = provider.capabilities;
+    const reservedForAnswer = getCompletionTokenLimit(provider.capabilities, maxTokens);
+    const promptBudget = contextWindow - reservedForAnswer;
+    const separatorTokens = countTokens('\n\n', tokenizer);
+    
+    // Instructions and question alone - the placeholder stands in for the passages so the context wording is counted
+    const placeholder = 'x';
+    const fixedTokens = countMessageTokens(buildMessages(chunks.length > 0 ? placeholder : '', []), tokenizer)
+        - (chunks.length > 0 ? countTokens(placeholder, tokenizer) : 0);
+    
+    let passageRoom = Math.min(ragContextMaxTokens, promptBudget - fixedTokens);
+    const packed = [];
+    for (const chunk of chunks) {
+        const [passage] = numberPassages([chunk]);
+        const cost = countTokens(formatPassages([{ ...passage, number: packed.length + 1 }]), tokenizer) + (packed.length > 0 ? separatorTokens : 0);
+        if (cost <= passageRoom) {
+            packed.push(chunk);
+            passageRoom -= cost;
+        }
+    }
+    
+    let passages = numberPassages(packed);
+    let historyRoom = promptBudget - fixedTokens - countTokens(formatPassages(passages), tokenizer);
+    let kept = 0;
+    for (let i = history.length - 1; i >= 0; i--) {
+        const cost = messageTokens(history[i], tokenizer);
+        if (cost > historyRoom) break;
+        historyRoom -= cost;
+        kept++;
+    }
+    // A kept answer whose question was dropped only confuses the model
+    let keptHistory = history.slice(history.length - kept);
+    if (keptHistory.length > 0 && keptHistory[0].role === 'assistant') {
+        keptHistory = keptHistory.slice(1);
+    }
+    
+    // The estimates above can be a token or two out where text meets, so check the assembled prompt
+    // and trim until it fits - history first, then the lowest-ranked passage
+    let messages = buildMessages(formatPassages(passages), keptHistory);
+    let promptTokens = countMessageTokens(messages, tokenizer);
+    while (promptTokens > promptBudget && (keptHistory.length > 0 || passages.length > 0)) {
+        if (keptHistory.length > 0) {
+            keptHistory = keptHistory.slice(keptHistory[1] && keptHistory[1].role === 'assistant' ? 2 : 1);
+        } else {
+            passages = numberPassages(packed.slice(0, passages.length - 1));
+        }
+        messages = buildMessages(formatPassages(passages), keptHistory);
+        promptTokens = countMessageTokens(messages, tokenizer);
+    }
+    
+    if (promptTokens > promptBudget) {
+        logWarning(`Prompt needs ${promptTokens} tokens but ${provider.model} only has room for ${promptBudget} - the question alone is too long`);
+    }
+    
+    const passageTokens = passages.length > 0 ? countTokens(formatPassages(passages), tokenizer) : 0;
+    const historyTokens = keptHistory.reduce((sum, message) => sum + messageTokens(message, tokenizer), 0);
+    
+    return {
+        messages,
+        passages,
+        budget: {
+            model: provider.model,
+            tokenizer,
+            contextWindow,
+            reservedForAnswer,
+            promptBudget,
+            promptTokens,
+            unusedTokens: promptBudget - promptTokens,
+            usage: {
+                instructions: promptTokens - passageTokens - historyTokens,
+                passages: passageTokens,
+                history: historyTokens
+            },
+            passages: {
+                candidates: chunks.length,
+                included: passages.length,
+                dropped: chunks.length - passages.length
+            },
+            history: {
+                messages: history.length,
+                included: keptHistory.length,
+                dropped: history.length - keptHistory.length
+            }
+        }
+    };
+}
+
+module.exports = {
+    fitPrompt
+};
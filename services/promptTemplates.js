@@ -0,0 +1,346 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { promptTemplatesDir, promptTemplate: defaultTemplateName, siteName } = require('../config/environment');
+const { logSuccess, logWarning, logError } = require('../utils/logger');
+
+// A template is a JSON file named after the template - shipped in templates/, or saved from the admin
+// panel to PROMPT_TEMPLATES_DIR, where it overrides a shipped template of the same name:
+//   { "description": "...", "system": "...", "user": "..." }
+// system and user are rendered with the variables below:
+//   {{variable}}                  the value, or nothing when it is empty
+//   {{#variable}}...{{/variable}} shown only when the variable has a value
+//   {{^variable}}...{{/variable}} shown only when it is empty
+// Templates that use {{history}} get the earlier turns as a transcript; otherwise they are sent as chat messages.
+const VARIABLES = ['context', 'question', 'siteName', 'history'];
+const TEMPLATE_PARTS = ['system', 'user'];
+const TEMPLATE_NAME = /^[A-Za-z0-9][A-Za-z0-9_-]{0,63}$/;
+const TAG_PATTERN = /\{\{([^{}]*)\}\}/g;
+const TAG_BODY = /^\s*([#^/]?)\s*([A-Za-z_]\w*)\s*$/;
+const BUILT_IN_TEMPLATES_DIR = path.join(__dirname, '..', 'templates');
+
+// Values used to show an admin what a template produces
+const SAMPLE_VALUES = {
+    question: 'How do I reset my password?',
+    context: '[1] Account help > Passwords (https://example.com/help#passwords)\nUse the "Forgot password" link on the sign-in page. The reset email expires after one hour.',
+    history: [
+        { role: 'user', content: 'Hi, I am locked out of my account.' },
+        { role: 'assistant', content: 'Sorry to hear that - I can help you get back in.' }
+    ]
+};
+
+// State
+let templates = new Map();   // name -> compiled template
+let builtInTemplates = new Map();   // name -> compiled shipped template, overridden or not
+let loading = null;
+
+function templatePath(name, directory = promptTemplatesDir) {
+    return path.join(directory, `${name}.json`);
+}
+
+function templateValidationError(errors) {
+    const error = new Error(`Invalid prompt template: ${errors.join('; ')}`);
+    error.name = 'TemplateValidationError';
+    error.errors = errors;
+    return error;
+}
+
+// Template text to nodes: strings, { variable } and { section, inverted, children }.
+// Problems are collected rather than thrown so validation can report all of them at once.
+function parseTemplate(text) {
+    const root = { children: [] };
+    const stack = [root];
+    const errors = [];
+    let last = 0;
+    
+    const addText = (value) => {
+        if (value.includes('{{') || value.includes('}}')) {
+            errors.push(`Unmatched braces in "${value.trim().slice(0, 40)}"`);
+        }
+        if (value) stack[stack.length - 1].children.push(value);
+    };
+    
+    for (const match of text.matchAll(TAG_PATTERN)) {
+        addText(text.slice(last, match.index));
+        last = match.index + match[0].length;
+        
+        const tag = match[1].match(TAG_BODY);
+        if (!tag) {
+            errors.push(`Malformed tag ${match[0]}`);
+            continue;
+        }
+        
+        const [, kind, name] = tag;
+        if (!VARIABLES.includes(name)) {
+            errors.push(`Undefined variable ${match[0]} - available variables are ${VARIABLES.map(v => `{{${v}}}`).join(', ')}`);
+        }
+        
+        const top = stack[stack.length - 1];
+        if (kind === '#' || kind === '^') {
+            const section = { section: name, inverted: kind === '^', children: [] };
+            top.children.push(section);
+            stack.push(section);
+        } else if (kind === '/') {
+            if (top.section !== name) {
+                errors.push(`${match[0]} closes a section that isn't open`);
+                continue;
+            }
+            stack.pop();
+        } else {
+            top.children.push({ variable: name });
+        }
+    }
+    addText(text.slice(last));
+    
+    stack.slice(1).forEach(section => errors.push(`{{${section.inverted ? '^' : '#'}${section.section}}} is never closed`));
+    return { nodes: root.children, errors };
+}
+
+function collectVariables(nodes, variables = new Set()) {
+    for (const node of nodes) {
+        if (node.variable) variables.add(node.variable);
+        if (node.section) {
+            variables.add(node.section);
+            collectVariables(node.children, variables);
+        }
+    }
+    return variables;
+}
+
+function renderNodes(nodes, values) {
+    return nodes.map(node => {
+        if (typeof node === 'string') return node;
+        if (node.variable) return values[node.variable] || '';
+        return !!values[node.section] !== node.inverted ? renderNodes(node.children, values) : '';
+    }).join('');
+}
+
+// Checks a template without saving it.
+// Returns { valid, errors, warnings, variables } - errors make the template unusable, warnings are worth a look.
+function validatePromptTemplate(template) {
+    if (!template || typeof template !== 'object' || Array.isArray(template)) {
+        return { valid: false, errors: ['A template is an object with "system" and "user" text'], warnings: [], variables: [] };
+    }
+    
+    const errors = [];
+    const warnings = [];
+    const variables = new Set();
+    
+    if (template.description !== undefined && typeof template.description !== 'string') {
+        errors.push('"description" must be text');
+    }
+    for (const part of TEMPLATE_PARTS) {
+        if (typeof template[part] !== 'string') {
+            errors.push(`"${part}" must be text`);
+            continue;
+        }
+        const parsed = parseTemplate(template[part]);
+        errors.push(...parsed.errors.map(error => `${part}: ${error}`));
+        collectVariables(parsed.nodes, variables);
+    }
+    
+    if (!variables.has('question')) {
+        errors.push('{{question}} is never used, so the question would not reach the model');
+    }
+    if (!variables.has('context')) {
+        warnings.push('{{context}} is never used - retrieved passages will not reach the model');
+    }
+    
+    return { valid: errors.length === 0, errors, warnings, variables: [...variables] };
+}
+
+function compileTemplate(name, data, updatedAt, source = 'saved') {
+    const validation = validatePromptTemplate(data);
+    if (!validation.valid) {
+        throw templateValidationError(validation.errors);
+    }
+    
+    return {
+        name,
+        source,
+        description: data.description || '',
+        system: data.system,
+        user: data.user,
+        variables: validation.variables,
+        warnings: validation.warnings,
+        updatedAt: updatedAt.toISOString(),
+        parsed: {
+            system: parseTemplate(data.system).nodes,
+            user: parseTemplate(data.user).nodes
+        }
+    };
+}
+
+// The template as the API shows it - source is 'built-in' or 'saved', and builtIn says whether a shipped
+// version exists to fall back to when a saved one is deleted
+function describeTemplate(template) {
+    const { parsed, ...description } = template;
+    return { ...description, builtIn: builtInTemplates.has(template.name), default: template.name === defaultTemplateName };
+}
+
+// Every valid template in one directory; a saved-templates directory that doesn't exist yet is just empty
+async function readTemplateDirectory(directory, source) {
+    const loaded = new Map();
+    let files = [];
+    
+    try {
+        files = await fs.readdir(directory);
+    } catch (error) {
+        if (error.code !== 'ENOENT' || source === 'built-in') {
+            logError(`Prompt templates directory ${directory} not readable: ${error.message}`);
+        }
+    }
+    
+    for (const file of files.filter(f => f.endsWith('.json')).sort()) {
+        const name = path.basename(file, '.json');
+        if (!TEMPLATE_NAME.test(name)) {
+            logWarning(`Skipping prompt template ${file} - names may only use letters, digits, - and _`);
+            continue;
+        }
+        
+        try {
+            const [content, stats] = await Promise.all([
+                fs.readFile(templatePath(name, directory), 'utf8'),
+                fs.stat(templatePath(name, directory))
+            ]);
+            loaded.set(name, compileTemplate(name, JSON.parse(content), stats.mtime, source));
+        } catch (error) {
+            logError(`Prompt template ${file} not loaded: ${error.message}`);
+        }
+    }
+    
+    return loaded;
+}
+
+async function readTemplates() {
+    const builtIn = await readTemplateDirectory(BUILT_IN_TEMPLATES_DIR, 'built-in');
+    const saved = await readTemplateDirectory(promptTemplatesDir, 'saved');
+    const loaded = new Map([...builtIn, ...saved]);
+    
+    builtInTemplates = builtIn;
+    templates = loaded;
+    if (loaded.has(defaultTemplateName)) {
+        logSuccess(`Loaded ${builtIn.size} built-in and ${saved.size} saved prompt template(s) - answering with "${defaultTemplateName}"`);
+    } else {
+        logError(`PROMPT_TEMPLATE "${defaultTemplateName}" not found in ${promptTemplatesDir} or the built-in templates - chat requests fail until it is added`);
+    }
+    return loaded;
+}
+
+// Called at startup; anything that needs a template before then waits for the first load
+function loadPromptTemplates() {
+    loading = readTemplates();
+    return loading;
+}
+
+async function templatesReady() {
+    if (!loading) loadPromptTemplates();
+    await loading;
+}
+
+async function listPromptTemplates() {
+    await templatesReady();
+    return [...templates.values()].map(describeTemplate);
+}
+
+async function getPromptTemplate(name) {
+    await templatesReady();
+    const template = templates.get(name);
+    return template ? describeTemplate(template) : null;
+}
+
+// The compiled template for an answer - PROMPT_TEMPLATE unless name picks another
+async function resolvePromptTemplate(name = defaultTemplateName) {
+    await templatesReady();
+    const template = templates.get(name);
+    if (!template) {
+        throw new Error(`Prompt template "${name}" not found`);
+    }
+    return template;
+}
+
+// Validates, writes the file to PROMPT_TEMPLATES_DIR and makes the template available straight away
+async function savePromptTemplate(name, data) {
+    await templatesReady();
+    if (!TEMPLATE_NAME.test(name || '')) {
+        throw templateValidationError(['Template names are 1-64 letters, digits, - or _']);
+    }
+    
+    const template = compileTemplate(name, data, new Date());
+    const content = JSON.stringify({ description: template.description, system: template.system, user: template.user }, null, 4);
+    
+    // Written to a temporary file first so a crash never leaves half a template behind
+    await fs.mkdir(promptTemplatesDir, { recursive: true });
+    const temp = `${templatePath(name)}.tmp`;
+    await fs.writeFile(temp, `${content}\n`, 'utf8');
+    await fs.rename(temp, templatePath(name));
+    
+    templates.set(name, template);
+    logSuccess(`Prompt template "${name}" saved`);
+    return describeTemplate(template);
+}
+
+// Deletes a saved template; a built-in one it overrode is used again. Returns false when there is no
+// such template, and throws BuiltInTemplateError for a shipped template, which can only be overridden.
+async function deletePromptTemplate(name) {
+    await templatesReady();
+    const template = templates.get(name);
+    if (!template) return false;
+    
+    if (template.source === 'built-in') {
+        const error = new Error(`${name} is a built-in template - save over it to change it`);
+        error.name = 'BuiltInTemplateError';
+        throw error;
+    }
+    
+    await fs.unlink(templatePath(name)).catch(error => {
+        if (error.code !== 'ENOENT') throw error;
+    });
+    if (builtInTemplates.has(name)) {
+        templates.set(name, builtInTemplates.get(name));
+        logSuccess(`Saved prompt template "${name}" deleted - using the built-in version again`);
+    } else {
+        templates.delete(name);
+        logSuccess(`Prompt template "${name}" deleted`);
+    }
+    return true;
+}
+
+function formatHistory(history) {
+    return history.map(message => `${message.role === 'assistant' ? 'Assistant' : 'User'}: ${message.content}`).join('\n');
+}
+
+// The chat messages for one answer: instructions, earlier turns, then the question.
+// context: numbered passages (see utils/citationUtils), '' when there are none
+function buildTemplateMessages(template, { question, context = '', history = [] }) {
+    const historyAsText = template.variables.includes('history');
+    const values = { question, context, siteName, history: historyAsText ? formatHistory(history) : '' };
+    const system = renderNodes(template.parsed.system, values).trim();
+    
+    return [
+        ...(system ? [{ role: 'system', content: system }] : []),
+        ...(historyAsText ? [] : history),
+        { role: 'user', content: renderNodes(template.parsed.user, values).trim() }
+    ];
+}
+
+// What a valid template sends for a sample question, with and without passages
+function previewPromptTemplate(data) {
+    const template = compileTemplate('preview', data, new Date());
+    return {
+        withContext: buildTemplateMessages(template, SAMPLE_VALUES),
+        withoutContext: buildTemplateMessages(template, { ...SAMPLE_VALUES, context: '' })
+    };
+}
+
+module.exports = {
+    VARIABLES,
+    loadPromptTemplates,
+    listPromptTemplates,
+    getPromptTemplate,
+    resolvePromptTemplate,
+    validatePromptTemplate,
+    previewPromptTemplate,
+    savePromptTemplate,
+    deletePromptTemplate,
+    buildTemplateMessages
+};
@@ -1,6 +1,27 @@
-const { isAzureAppService, ragTopK } = require('../config/environment');
-const { conditionallyLoadTransformers } = require('../models/localModels');
-const { chunkText, cosineSimilarity } = require('../utils/textUtils');
+const crypto = require('crypto');
+const {
+    ragTopK,
+    ragContextCandidates,
+    ragMinSimilarity,
+    ragMinBm25Score,
+    ragRrfK,
+    ragUseMmr,
+    ragMmrLambda,
+    answerMode: defaultAnswerMode,
+    groundedPromptTemplate,
+    groundedDeclineMessage
+} = require('../config/environment');
+const { chunkMarkdown, normalizeVector } = require('../utils/textUtils');
+const { reciprocalRankFusion, maximalMarginalRelevance } = require('../utils/rankingUtils');
+const { resolveCitations } = require('../utils/citationUtils');
+const indexStorage = require('./indexStorage');
+const { createEmbeddingProvider, LEGACY_EMBEDDING_MODEL } = require('./embeddingProviders');
+const { addToLexicalIndex, removeFromLexicalIndex, rebuildLexicalIndex, searchLexicalIndex } = require('./lexicalIndex');
+const { addToVectorIndex, removeFromVectorIndex, rebuildVectorIndex, searchVectorIndex } = require('./vectorIndex');
+const { fitPrompt } = require('./promptBudget');
+const { resolvePromptTemplate, buildTemplateMessages } = require('./promptTemplates');
+const { assessGrounding, groundedTemplateConflict, suggestPages } = require('./grounding');
+const { generateWithFallback, streamWithFallback } = require('../models/llmFallback');
 const { logSuccess, logWarning, logError } = require('../utils/logger');
 
 // State
@@ -8,30 +29,111 @@ let embedder = null;
 let documentStore = [];
 let documentEmbeddings = [];
 
-async function initializeEmbedder() {
-    // Skip embedder in Azure App Service - use Azure OpenAI for everything
-    if (isAzureAppService) {
-        logWarning('Azure App Service detected - embedder not needed (using Azure OpenAI only)');
-        return null;
+// Restore the index persisted by a previous run
+async function loadPersistedIndex() {
+    try {
+        const persisted = await indexStorage.loadIndex();
+        documentStore = persisted.documentStore;
+        documentEmbeddings = persisted.documentEmbeddings;
+        documentEmbeddings.forEach(toVectorStorage);
+        rebuildLexicalIndex(documentEmbeddings);
+        rebuildVectorIndex(documentEmbeddings.filter(hasCompatibleEmbedding));
+        return true;
+    } catch (error) {
+        logError(`Failed to load persisted index: ${error.message}`);
+        return false;
     }
-    
+}
+
+// Vectors are kept as unit-length Float32Array so similarity is a single dot product
+function toVectorStorage(doc) {
+    if (doc.embedding && !(doc.embedding instanceof Float32Array)) {
+        doc.embedding = normalizeVector(doc.embedding);
+    }
+    return doc;
+}
+
+function persistIndex() {
+    indexStorage.saveIndex(documentStore, documentEmbeddings);
+}
+
+// Drop matching chunks from memory and the search indexes, returning how many were removed
+function dropChunks(predicate) {
+    const removed = documentEmbeddings.filter(predicate);
+    if (removed.length > 0) {
+        documentEmbeddings = documentEmbeddings.filter(d => !predicate(d));
+        removeFromLexicalIndex(removed);
+        removeFromVectorIndex(removed);
+    }
+    return removed.length;
+}
+
+// Refuse vectors from any model other than the active embedder so the index never mixes vector spaces
+function assertSingleEmbeddingModel(chunks) {
+    const foreign = chunks.find(d => d.embedding && d.embeddingModel !== getEmbeddingModelId());
+    if (foreign) {
+        throw new Error(`Refusing to index chunk embedded with ${foreign.embeddingModel || 'an unknown model'} - active embedding model is ${getEmbeddingModelId() || 'none'}`);
+    }
+}
+
+function addChunks(chunks) {
+    assertSingleEmbeddingModel(chunks);
+    chunks.forEach(toVectorStorage);
+    documentEmbeddings.push(...chunks);
+    addToLexicalIndex(chunks);
+    addToVectorIndex(chunks.filter(hasCompatibleEmbedding));
+    indexStorage.appendChunks(chunks, documentStore, documentEmbeddings.length);
+}
+
+function removeChunks(predicate) {
+    const removedChunks = dropChunks(predicate);
+    if (removedChunks > 0) {
+        persistIndex();
+    }
+    return removedChunks;
+}
+
+function setDocumentEmbeddings(embeddings) {
+    documentEmbeddings = embeddings;
+    documentEmbeddings.forEach(toVectorStorage);
+    rebuildLexicalIndex(documentEmbeddings);
+    rebuildVectorIndex(documentEmbeddings.filter(hasCompatibleEmbedding));
+    persistIndex();
+}
+
+function addToDocumentStore(doc) {
+    documentStore.push(doc);
+    indexStorage.saveDocuments(documentStore, documentEmbeddings.length);
+}
+
+function removeFromDocumentStore(predicate) {
+    documentStore = documentStore.filter(d => !predicate(d));
+    indexStorage.saveDocuments(documentStore, documentEmbeddings.length);
+}
+
+async function initializeEmbedder() {
     if (embedder) return embedder;
     
-    // Ensure transformers is loaded first
-    const { getTransformersAvailable } = require('../models/localModels');
-    if (!getTransformersAvailable()) {
-        const loaded = await conditionallyLoadTransformers();
-        if (!loaded) {
-            logWarning('Transformers not available - embedder cannot be initialized');
+    try {
+        const provider = createEmbeddingProvider();
+        console.log(`Initializing ${provider.name} embedder for RAG (${provider.model})...`);
+        
+        const ready = await provider.initialize();
+        if (!ready) {
             return null;
         }
-    }
-    
-    try {
-        console.log('Initializing text embedder for RAG...');
-        const { pipeline } = await import('@xenova/transformers');
-        embedder = await pipeline('feature-extraction', 'Xenova/all-MiniLM-L6-v2');
-        logSuccess('Embedder initialized successfully!');
+        
+        embedder = provider;
+        logSuccess(`Embedder initialized successfully! (${embedder.modelId})`);
+        
+        // Chunks loaded before the embedder existed could not be matched to a model until now
+        rebuildVectorIndex(documentEmbeddings.filter(hasCompatibleEmbedding));
+        
+        const mismatched = documentEmbeddings.filter(d => d.embedding && !hasCompatibleEmbedding(d)).length;
+        if (mismatched > 0) {
+            logWarning(`${mismatched} indexed chunk(s) were embedded by a different model and will use keyword search until re-indexed`);
+        }
+        
         return embedder;
     } catch (error) {
         logError(`Failed to initialize embedder: ${error.message}`);
@@ -48,8 +150,61 @@ async function generateEmbedding(text) {
         throw new Error('Embedder not available');
     }
     
-    const result = await embedder(text, { pooling: 'mean', normalize: true });
-    return Array.from(result.data);
+    return normalizeVector(await embedder.embed(text));
+}
+
+// Model that produced a chunk's vector; vectors from different models are never compared
+function getEmbeddingModelId() {
+    return embedder ? embedder.modelId : null;
+}
+
+function hasCompatibleEmbedding(doc) {
+    if (!doc.embedding || !embedder) return false;
+    return (doc.embeddingModel || LEGACY_EMBEDDING_MODEL) === embedder.modelId;
+}
+
+// Stable identifier for a crawled URL so it can be addressed as a single source
+function createSourceId(url) {
+    return crypto.createHash('sha1').update(url).digest('hex').substring(0, 16);
+}
+
+// Fields shared by every chunk of a crawled page. Linked PDF/DOCX files also name the page that linked to them.
+function websiteChunkFields(page) {
+    const fields = {
+        sourceId: createSourceId(page.url),
+        source: `${page.title} (${page.url})`,
+        url: page.url,
+        title: page.title,
+        type: 'website'
+    };
+    
+    if (page.documentType) {
+        fields.documentType = page.documentType;
+        fields.referrerUrl = page.referrer ? page.referrer.url : null;
+        if (page.referrer) {
+            fields.source = `${page.title} (${page.url}, linked from ${page.referrer.url})`;
+        }
+    }
+    
+    return fields;
+}
+
+// Split a crawled page into heading-aware chunks. Each carries its heading path, and a deep link to
+// the nearest anchor so citations land on the right section.
+function chunkWebsitePage(page) {
+    // The title and description lead the first chunk, ahead of any heading
+    let structuredContent = `${page.title}\n\n`;
+    if (page.description) {
+        structuredContent += `${page.description}\n\n`;
+    }
+    structuredContent += page.content;
+    
+    return chunkMarkdown(structuredContent).map(({ text, headingPath, anchor }) => ({
+        chunk: text,
+        headingPath,
+        anchor,
+        deepLink: anchor ? `${page.url}#${encodeURIComponent(anchor)}` : page.url
+    }));
 }
 
 async function processWebsitePages(pages) {
@@ -69,30 +224,21 @@ async function processWebsitePages(pages) {
     for (const page of pages) {
         console.log(`Processing: ${page.title}`);
         
-        // Create structured content for better chunking
-        let structuredContent = `${page.title}\n\n`;
-        if (page.description) {
-            structuredContent += `${page.description}\n\n`;
-        }
-        structuredContent += page.content;
-        
-        // Chunk the content
-        const chunks = chunkText(structuredContent, 500, 50);
+        const chunks = chunkWebsitePage(page);
         
         // Generate embeddings for each chunk
         for (let i = 0; i < chunks.length; i++) {
-            const chunk = chunks[i];
+            const { chunk, ...section } = chunks[i];
             try {
                 const embedding = await generateEmbedding(chunk);
                 processedChunks.push({
                     chunk,
                     embedding,
-                    source: `${page.title} (${page.url})`,
-                    url: page.url,
-                    title: page.title,
+                    embeddingModel: getEmbeddingModelId(),
+                    ...websiteChunkFields(page),
+                    ...section,
                     chunkIndex: i,
-                    pageIndex: pages.indexOf(page),
-                    type: 'website'
+                    pageIndex: pages.indexOf(page)
                 });
             } catch (error) {
                 logError(`Error generating embedding for chunk ${i} of ${page.title}: ${error.message}`);
@@ -104,176 +250,380 @@ async function processWebsitePages(pages) {
     return processedChunks;
 }
 
-async function retrieveRelevantChunks(query, topK = ragTopK) {
-    if (documentEmbeddings.length === 0) {
-        return [];
+// Group indexed chunks by the file or URL they came from
+function getSources() {
+    const sources = new Map();
+    
+    for (const doc of documentEmbeddings) {
+        if (!doc.sourceId) continue;
+        
+        if (!sources.has(doc.sourceId)) {
+            sources.set(doc.sourceId, {
+                id: doc.sourceId,
+                type: doc.type || 'document',
+                title: doc.title || doc.source,
+                url: doc.url || null,
+                chunks: 0,
+                embeddedChunks: 0
+            });
+        }
+        
+        const source = sources.get(doc.sourceId);
+        source.chunks++;
+        if (doc.embedding) source.embeddedChunks++;
     }
     
-    const queryEmbedding = await generateEmbedding(query);
+    return [...sources.values()].map(source => {
+        const storeEntry = documentStore.find(d => d.id === source.id);
+        return storeEntry ? { ...source, filename: storeEntry.filename, uploadedAt: storeEntry.uploadedAt } : source;
+    });
+}
+
+function getSourceChunks(sourceId) {
+    return documentEmbeddings
+        .filter(d => d.sourceId === sourceId)
+        .sort((a, b) => a.chunkIndex - b.chunkIndex);
+}
+
+// Swap a source's chunks for a freshly processed set, keeping the store stats in step
+function replaceSourceChunks(sourceId, newChunks) {
+    return replaceSources([sourceId], newChunks);
+}
+
+// Drop every chunk of the given sources and add the new chunks with a single index rewrite.
+// Returns the number of chunks removed.
+function replaceSources(sourceIds, newChunks) {
+    assertSingleEmbeddingModel(newChunks);
+    const replaced = new Set(sourceIds);
+    const removedChunks = dropChunks(d => replaced.has(d.sourceId));
     
-    const similarities = documentEmbeddings.map((docEmb, index) => ({
-        index,
-        similarity: cosineSimilarity(queryEmbedding, docEmb.embedding),
-        chunk: docEmb.chunk,
-        source: docEmb.source,
-        url: docEmb.url || null,
-        type: docEmb.type || 'document'
-    }));
+    if (removedChunks === 0 && newChunks.length === 0) return 0;
+    
+    newChunks.forEach(toVectorStorage);
+    documentEmbeddings.push(...newChunks);
+    addToLexicalIndex(newChunks);
+    addToVectorIndex(newChunks.filter(hasCompatibleEmbedding));
+    syncWebsiteDocumentStats();
+    persistIndex();
+    return removedChunks;
+}
+
+function removeSource(sourceId) {
+    const removedChunks = dropChunks(d => d.sourceId === sourceId);
+    
+    const storeEntry = documentStore.find(d => d.id === sourceId);
+    if (storeEntry) {
+        documentStore = documentStore.filter(d => d !== storeEntry);
+    }
+    
+    syncWebsiteDocumentStats();
+    persistIndex();
     
-    return similarities
-        .sort((a, b) => b.similarity - a.similarity)
-        .slice(0, topK);
+    return { removedChunks, storeEntry: storeEntry || null };
 }
 
-async function generateLocalResponseWithRAG(message, modelName = 'distilgpt2', useRAG = true, includeWebsiteContent = true) {
-    const { generateResponseWithContext } = require('../models/localModels');
+// Website store entries summarise every crawled page, so recount them after per-page changes
+function syncWebsiteDocumentStats() {
+    const websiteChunks = documentEmbeddings.filter(d => d.type === 'website');
+    const pages = new Set(websiteChunks.map(d => d.url)).size;
     
-    let context = '';
-    let sources = [];
+    documentStore
+        .filter(d => d.type === 'website')
+        .forEach(entry => {
+            entry.chunks = websiteChunks.length;
+            entry.pages = pages;
+        });
+}
+
+// Only uploaded documents are searched when website content is excluded
+function contentTypeFilter(includeWebsiteContent) {
+    return includeWebsiteContent ? null : (d => d.type !== 'website');
+}
+
+// Hybrid retrieval: vector and BM25 candidates below their minimum score are dropped,
+// the rest are fused with reciprocal rank fusion and optionally diversified with MMR
+async function retrieveChunks(query, options = {}) {
+    const {
+        topK = ragTopK,
+        filter = null,
+        minSimilarity = ragMinSimilarity,
+        minBm25Score = ragMinBm25Score,
+        useMmr = ragUseMmr,
+        mmrLambda = ragMmrLambda
+    } = options;
     
-    // Retrieve relevant documents if RAG is enabled
-    if (useRAG && documentEmbeddings.length > 0) {
-        console.log('Retrieving relevant documents for RAG...');
-        
-        // Filter embeddings based on preferences
-        let availableEmbeddings = documentEmbeddings;
-        if (!includeWebsiteContent) {
-            availableEmbeddings = documentEmbeddings.filter(d => d.type !== 'website');
-        }
-        
-        if (availableEmbeddings.length > 0) {
-            const queryEmbedding = await generateEmbedding(message);
-            
-            const similarities = availableEmbeddings.map((docEmb, index) => ({
-                index,
-                similarity: cosineSimilarity(queryEmbedding, docEmb.embedding),
-                chunk: docEmb.chunk,
-                source: docEmb.source,
-                url: docEmb.url || null,
-                type: docEmb.type || 'document'
-            }));
-            
-            const relevantChunks = similarities
-                .sort((a, b) => b.similarity - a.similarity)
-                .slice(0, 3);
+    if (documentEmbeddings.length === 0 || !query || !query.trim()) {
+        return [];
+    }
+    
+    const candidateCount = Math.max(topK * 4, 20);
+    const vectorScores = new Map();
+    const lexicalScores = new Map();
+    
+    // Vector candidates - the vector index only holds chunks embedded by the active model
+    if (documentEmbeddings.some(hasCompatibleEmbedding)) {
+        try {
+            const queryEmbedding = await generateEmbedding(query);
             
-            if (relevantChunks.length > 0) {
-                context = relevantChunks.map(chunk => chunk.chunk).join('\n\n');
-                sources = [...new Set(relevantChunks.map(chunk => chunk.source))];
-                
-                console.log(`Found ${relevantChunks.length} relevant chunks from: ${sources.join(', ')}`);
-                console.log('Content types:', [...new Set(relevantChunks.map(c => c.type))]);
-            }
+            searchVectorIndex(queryEmbedding, { topK: candidateCount, filter })
+                .filter(result => result.similarity >= minSimilarity)
+                .forEach(result => vectorScores.set(result.doc, result.similarity));
+        } catch (error) {
+            logError(`Vector retrieval failed, using keyword search only: ${error.message}`);
         }
     }
     
-    // Generate response with context
-    return await generateResponseWithContext(message, context, sources, modelName);
+    // Lexical candidates
+    searchLexicalIndex(query, { topK: candidateCount, filter })
+        .filter(result => result.score >= minBm25Score)
+        .forEach(result => lexicalScores.set(result.doc, result.score));
+    
+    const fused = reciprocalRankFusion([[...vectorScores.keys()], [...lexicalScores.keys()]], ragRrfK);
+    if (fused.length === 0) {
+        return [];
+    }
+    
+    const maxScore = fused[0].score;
+    const candidates = fused.map(({ item, score }) => ({ doc: item, score, relevance: score / maxScore }));
+    
+    const selected = useMmr
+        ? maximalMarginalRelevance(candidates, topK, { lambda: mmrLambda, canCompareEmbeddings: hasCompatibleEmbedding })
+        : candidates.slice(0, topK);
+    
+    return selected.map(({ doc, score }) => {
+        const inVector = vectorScores.has(doc);
+        const inLexical = lexicalScores.has(doc);
+        
+        return {
+            index: documentEmbeddings.indexOf(doc),
+            score,
+            similarity: inVector ? vectorScores.get(doc) : null,
+            lexicalScore: inLexical ? lexicalScores.get(doc) : null,
+            retrieval: inVector && inLexical ? 'hybrid' : (inVector ? 'vector' : 'bm25'),
+            chunk: doc.chunk,
+            source: doc.source,
+            sourceId: doc.sourceId || null,
+            url: doc.url || null,
+            title: doc.title || null,
+            referrerUrl: doc.referrerUrl || null,
+            headingPath: doc.headingPath || null,
+            deepLink: doc.deepLink || null,
+            chunkIndex: doc.chunkIndex,
+            type: doc.type || 'document'
+        };
+    });
 }
 
-async function generateAzureOpenAIResponseWithRAG(message, useRAG = true, includeWebsiteContent = true) {
-    const { generateAzureOpenAIResponse, getAzureOpenAIClient } = require('../models/azureOpenAI');
-    const { initializeAzureOpenAI } = require('../models/azureOpenAI');
-    
-    let azureOpenAIClient = getAzureOpenAIClient();
-    if (!azureOpenAIClient) {
-        azureOpenAIClient = initializeAzureOpenAI();
-        if (!azureOpenAIClient) {
-            throw new Error('Azure OpenAI client not available');
-        }
+async function retrieveRelevantChunks(query, topK = ragTopK) {
+    return await retrieveChunks(query, { topK });
+}
+
+// Retrieve the ranked candidates for generation context - fitPrompt decides how many reach the prompt.
+// Retrieval problems are logged and the answer is generated without context.
+async function retrieveContextChunks(retrievalQuery, useRAG, includeWebsiteContent) {
+    if (!useRAG || documentEmbeddings.length === 0) {
+        return [];
     }
     
-    let context = '';
-    let sources = [];
+    console.log('Retrieving relevant documents for RAG...');
     
-    // In Azure App Service, skip RAG entirely if no embedder is available
-    if (useRAG && documentEmbeddings.length > 0) {
-        console.log('RAG requested but in Azure App Service mode - using document text directly');
+    try {
+        const relevantChunks = await retrieveChunks(retrievalQuery, {
+            topK: ragContextCandidates,
+            filter: contentTypeFilter(includeWebsiteContent)
+        });
         
-        // For Azure App Service, use simple text matching instead of embeddings
-        if (isAzureAppService) {
-            console.log('Using simple text search fallback for RAG in Azure App Service');
-            
-            // Filter embeddings based on preferences
-            let availableEmbeddings = documentEmbeddings;
-            if (!includeWebsiteContent) {
-                availableEmbeddings = documentEmbeddings.filter(d => d.type !== 'website');
-            }
-            
-            if (availableEmbeddings.length > 0) {
-                // Simple keyword matching as fallback
-                const messageLower = message.toLowerCase();
-                const matchingChunks = availableEmbeddings
-                    .filter(doc => doc.chunk.toLowerCase().includes(messageLower))
-                    .slice(0, 3);
-                
-                if (matchingChunks.length === 0) {
-                    // If no keyword matches, take the first few chunks
-                    const fallbackChunks = availableEmbeddings.slice(0, 3);
-                    context = fallbackChunks.map(chunk => chunk.chunk).join('\n\n');
-                    sources = [...new Set(fallbackChunks.map(chunk => chunk.source))];
-                    console.log('Using fallback chunks for context');
-                } else {
-                    context = matchingChunks.map(chunk => chunk.chunk).join('\n\n');
-                    sources = [...new Set(matchingChunks.map(chunk => chunk.source))];
-                    console.log(`Found ${matchingChunks.length} matching chunks`);
-                }
-            }
+        if (relevantChunks.length > 0) {
+            console.log(`Found ${relevantChunks.length} relevant chunks from: ${[...new Set(relevantChunks.map(c => c.source))].join(', ')}`);
+            console.log('Retrieval:', relevantChunks.map(c => `${c.retrieval} (${c.score.toFixed(4)})`).join(', '));
         } else {
-            // Local development with embedder
-            console.log('Retrieving relevant documents for Azure OpenAI RAG...');
-            
-            // Filter embeddings based on preferences
-            let availableEmbeddings = documentEmbeddings;
-            if (!includeWebsiteContent) {
-                availableEmbeddings = documentEmbeddings.filter(d => d.type !== 'website');
-            }
+            console.log('No chunks passed the relevance threshold - continuing without RAG context');
+        }
+        return relevantChunks;
+    } catch (error) {
+        logError(`RAG error: ${error.message}`);
+        console.log('📝 Continuing without RAG context...');
+        return [];
+    }
+}
+
+// Validate the answer's [n] markers against the passages it was given.
+// Returns { response, citations, usedMarkers, invalidMarkers }.
+function finalizeAnswer(answer, passages) {
+    // Without passages a bracketed number is not a citation, so the answer is left alone
+    if (passages.length === 0) {
+        return { response: answer, citations: [], usedMarkers: [], invalidMarkers: [] };
+    }
+    
+    const { answer: response, citations, usedMarkers, invalidMarkers } = resolveCitations(answer, passages);
+    
+    if (invalidMarkers.length > 0) {
+        logWarning(`Removed citation marker(s) with no matching passage: ${invalidMarkers.map(n => `[${n}]`).join(', ')}`);
+    }
+    console.log(`Citations: ${usedMarkers.length} of ${passages.length} passages cited`);
+    
+    return { response, citations, usedMarkers, invalidMarkers };
+}
+
+// The prompt for one provider: passages and history are fitted to its context window, so each provider in the
+// fallback chain gets a prompt of its own. Called again for every provider tried; the last call belongs
+// to the provider that answered.
+function createPromptBuilder(template, message, chunks, history) {
+    const builder = {
+        prompt: null,
+        build(provider) {
+            builder.prompt = fitPrompt(provider, {
+                chunks,
+                history,
+                buildMessages: (context, turns) => buildTemplateMessages(template, { question: message, context, history: turns })
+            });
             
-            if (availableEmbeddings.length > 0 && embedder) {
-                try {
-                    const queryEmbedding = await generateEmbedding(message);
-                    
-                    const similarities = availableEmbeddings.map((docEmb, index) => ({
-                        index,
-                        similarity: cosineSimilarity(queryEmbedding, docEmb.embedding),
-                        chunk: docEmb.chunk,
-                        source: docEmb.source,
-                        url: docEmb.url || null,
-                        type: docEmb.type || 'document'
-                    }));
-                    
-                    const relevantChunks = similarities
-                        .sort((a, b) => b.similarity - a.similarity)
-                        .slice(0, ragTopK);
-                    
-                    if (relevantChunks.length > 0) {
-                        context = relevantChunks.map(chunk => chunk.chunk).join('\n\n');
-                        sources = [...new Set(relevantChunks.map(chunk => chunk.source))];
-                        
-                        console.log(`Found ${relevantChunks.length} relevant chunks from: ${sources.join(', ')}`);
-                    }
-                } catch (error) {
-                    logError(`RAG error: ${error.message}`);
-                    console.log('📝 Continuing without RAG context...');
-                }
-            }
+            const { budget } = builder.prompt;
+            console.log(`Token budget for ${provider.model}: ${budget.promptTokens}/${budget.promptBudget} prompt tokens, ${budget.passages.included}/${budget.passages.candidates} passages, ${budget.history.included}/${budget.history.messages} history messages`);
+            return builder.prompt.messages;
         }
+    };
+    
+    return builder;
+}
+
+// Which provider answered and what it took - reported in the chat response metadata
+function generationMetadata(generation) {
+    console.log(`Answered by ${generation.label}: ${generation.model} (${generation.attempts} attempt(s))`);
+    
+    return {
+        provider: generation.provider,
+        model: generation.model,
+        attempts: generation.attempts,
+        fallbackUsed: generation.failures.length > 0,
+        failedProviders: generation.failures
+    };
+}
+
+// Template, context candidates and grounding verdict for one answer. Grounded answers always use
+// GROUNDED_PROMPT_TEMPLATE, and naming any other template with them throws.
+async function prepareAnswer({ useRAG, includeWebsiteContent, retrievalQuery, template: templateName, answerMode: requestedMode }) {
+    const answerMode = requestedMode || defaultAnswerMode;
+    
+    const templateConflict = groundedTemplateConflict(templateName, answerMode);
+    if (templateConflict) {
+        throw new Error(templateConflict);
+    }
+    const template = await resolvePromptTemplate(answerMode === 'grounded' ? groundedPromptTemplate : templateName);
+    const chunks = await retrieveContextChunks(retrievalQuery, useRAG, includeWebsiteContent);
+    const grounding = assessGrounding(chunks, { answerMode, useRAG, indexedChunks: documentEmbeddings.length });
+    
+    if (grounding.declined) {
+        logWarning(`Declining to answer in grounded mode: ${grounding.details}`);
+    }
+    return { template, chunks, grounding };
+}
+
+// Grounded mode's reply when retrieval can't support an answer - no model is called
+function declinedAnswer({ template, chunks, grounding }) {
+    return {
+        response: groundedDeclineMessage,
+        citations: [],
+        usedMarkers: [],
+        invalidMarkers: [],
+        suggestedPages: suggestPages(chunks),
+        generation: { provider: null, model: null, attempts: 0, fallbackUsed: false, failedProviders: [] },
+        tokenBudget: null,
+        promptTemplate: template.name,
+        grounding
+    };
+}
+
+// Answer with the configured LLM provider (LLM_PROVIDER), falling back along LLM_FALLBACK_PROVIDERS.
+// options.history: earlier turns as [{ role, content }]
+// options.retrievalQuery: standalone version of a follow-up, searched instead of the raw message
+// options.template: prompt template name, PROMPT_TEMPLATE when not given
+// options.answerMode: 'open' or 'grounded', ANSWER_MODE when not given
+// Resolves to { response, citations, usedMarkers, invalidMarkers, suggestedPages, generation, tokenBudget,
+// promptTemplate, grounding } - see finalizeAnswer, generationMetadata, fitPrompt and assessGrounding
+async function generateResponseWithRAG(message, useRAG = true, includeWebsiteContent = true, options = {}) {
+    const { history = [], retrievalQuery = message } = options;
+    
+    const prepared = await prepareAnswer({ ...options, useRAG, includeWebsiteContent, retrievalQuery });
+    if (prepared.grounding.declined) {
+        return declinedAnswer(prepared);
+    }
+    const { template, chunks, grounding } = prepared;
+    const promptBuilder = createPromptBuilder(template, message, chunks, history);
+    
+    console.log(`Generating answer (${history.length} history message(s))`);
+    const generation = await generateWithFallback(promptBuilder.build);
+    const answer = generation.content || "I couldn't generate a response.";
+    const { passages, budget } = promptBuilder.prompt;
+    return {
+        ...finalizeAnswer(answer, passages),
+        suggestedPages: [],
+        generation: generationMetadata(generation),
+        tokenBudget: budget,
+        promptTemplate: template.name,
+        grounding
+    };
+}
+
+// Streaming variant of the function above - onToken receives text deltas as they are generated.
+// Resolves with the same shape, so the caller can send the citations once the stream ends.
+async function streamResponseWithRAG(message, options = {}) {
+    const {
+        useRAG = true,
+        includeWebsiteContent = true,
+        history = [],
+        retrievalQuery = message,
+        onToken = () => {},
+        signal
+    } = options;
+    
+    const prepared = await prepareAnswer({ ...options, useRAG, includeWebsiteContent, retrievalQuery });
+    if (prepared.grounding.declined) {
+        onToken(groundedDeclineMessage);
+        return declinedAnswer(prepared);
     }
+    const { template, chunks, grounding } = prepared;
+    const promptBuilder = createPromptBuilder(template, message, chunks, history);
     
-    // Generate response with Azure OpenAI (with or without context)
-    return await generateAzureOpenAIResponse(message, context, sources);
+    console.log(`Streaming answer (${history.length} history message(s))`);
+    const generation = await streamWithFallback(promptBuilder.build, { onToken, signal });
+    const answer = generation.content || "I couldn't generate a response.";
+    const { passages, budget } = promptBuilder.prompt;
+    return {
+        ...finalizeAnswer(answer, passages),
+        suggestedPages: [],
+        generation: generationMetadata(generation),
+        tokenBudget: budget,
+        promptTemplate: template.name,
+        grounding
+    };
 }
 
 module.exports = {
+    loadPersistedIndex,
     initializeEmbedder,
     generateEmbedding,
     processWebsitePages,
+    retrieveChunks,
     retrieveRelevantChunks,
-    generateLocalResponseWithRAG,
-    generateAzureOpenAIResponseWithRAG,
+    generateResponseWithRAG,
+    streamResponseWithRAG,
     getDocumentStore: () => documentStore,
     getDocumentEmbeddings: () => documentEmbeddings,
-    setDocumentEmbeddings: (embeddings) => { documentEmbeddings = embeddings; },
-    addToDocumentStore: (doc) => documentStore.push(doc),
-    getEmbedder: () => embedder
+    setDocumentEmbeddings,
+    addChunks,
+    removeChunks,
+    addToDocumentStore,
+    removeFromDocumentStore,
+    createSourceId,
+    websiteChunkFields,
+    chunkWebsitePage,
+    getSources,
+    getSourceChunks,
+    replaceSourceChunks,
+    replaceSources,
+    removeSource,
+    getEmbedder: () => embedder,
+    getEmbeddingModelId,
+    hasCompatibleEmbedding
 };
\ No newline at end of file
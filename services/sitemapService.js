@@ -0,0 +1,142 @@
+const zlib = require('zlib');
+const cheerio = require('cheerio');
+const { fetchWithPolicy } = require('./fetchPolicy');
+const { logSuccess, logWarning } = require('../utils/logger');
+
+// Limits so a huge or looping sitemap index can't stall a crawl
+const MAX_SITEMAP_FILES = 25;
+const MAX_SITEMAP_URLS = 10000;
+const MAX_SITEMAP_BYTES = 50 * 1024 * 1024; // sitemaps.org limit for one uncompressed file
+const DEFAULT_PRIORITY = 0.5;
+
+// Fetch one sitemap file - gzipped sitemaps are detected by their magic bytes, not the extension
+async function fetchSitemap(sitemapUrl, userAgent) {
+    const response = await fetchWithPolicy(sitemapUrl, {
+        timeout: 10000,
+        maxBytes: MAX_SITEMAP_BYTES,
+        headers: {
+            'User-Agent': userAgent
+        }
+    });
+
+    const body = Buffer.from(response.data);
+    if (body[0] === 0x1f && body[1] === 0x8b) {
+        return zlib.gunzipSync(body, { maxOutputLength: MAX_SITEMAP_BYTES }).toString('utf8');
+    }
+    return body.toString('utf8');
+}
+
+// Parse a <urlset> or <sitemapindex> document.
+// Returns { sitemaps: [url], entries: [{ url, priority, lastmod }] }
+function parseSitemap(xml, sitemapUrl) {
+    const $ = cheerio.load(xml, { xmlMode: true });
+    const resolve = (loc) => {
+        try {
+            const url = new URL(loc.trim(), sitemapUrl);
+            url.hash = '';
+            return ['http:', 'https:'].includes(url.protocol) ? url.href : null;
+        } catch (error) {
+            return null;
+        }
+    };
+
+    const sitemaps = $('sitemapindex > sitemap > loc')
+        .map((i, el) => resolve($(el).text()))
+        .get()
+        .filter(Boolean);
+
+    const entries = [];
+    $('urlset > url').each((i, el) => {
+        const url = resolve($(el).children('loc').first().text());
+        if (!url) return;
+
+        const priority = parseFloat($(el).children('priority').first().text());
+        const lastmod = Date.parse($(el).children('lastmod').first().text().trim());
+
+        entries.push({
+            url,
+            priority: Number.isFinite(priority) ? Math.min(1, Math.max(0, priority)) : DEFAULT_PRIORITY,
+            lastmod: Number.isNaN(lastmod) ? null : new Date(lastmod).toISOString()
+        });
+    });
+
+    return { sitemaps, entries };
+}
+
+// Highest <priority> first, then most recently modified; entries without a lastmod go last
+function compareSitemapEntries(a, b) {
+    if (b.priority !== a.priority) return b.priority - a.priority;
+    if (a.lastmod === b.lastmod) return 0;
+    if (!a.lastmod) return 1;
+    if (!b.lastmod) return -1;
+    return b.lastmod.localeCompare(a.lastmod);
+}
+
+// Collect page URLs from the sitemaps named in robots.txt plus /sitemap.xml, following sitemap indexes.
+// Returns { entries, sitemaps, errors } with entries already in crawl order.
+async function discoverSitemapUrls(baseUrl, options = {}) {
+    const {
+        robotsTxt = null,
+        userAgent = 'WebAppChatbot/1.0',
+        isInScope = () => true
+    } = options;
+
+    const defaultSitemap = new URL('/sitemap.xml', baseUrl).href;
+    const queue = [...new Set([...(robotsTxt ? robotsTxt.getSitemaps() : []), defaultSitemap])];
+    const fetched = new Set();
+    const read = [];
+    const entriesByUrl = new Map();
+    const errors = [];
+
+    while (queue.length > 0 && fetched.size < MAX_SITEMAP_FILES) {
+        const sitemapUrl = queue.shift();
+        if (fetched.has(sitemapUrl)) continue;
+        fetched.add(sitemapUrl);
+
+        try {
+            const xml = await fetchSitemap(sitemapUrl, userAgent);
+            const { sitemaps, entries } = parseSitemap(xml, sitemapUrl);
+
+            read.push(sitemapUrl);
+            queue.push(...sitemaps.filter(url => !fetched.has(url)));
+
+            for (const entry of entries) {
+                if (entriesByUrl.size >= MAX_SITEMAP_URLS) break;
+                if (!isInScope(entry.url) || entriesByUrl.has(entry.url)) continue;
+                entriesByUrl.set(entry.url, entry);
+            }
+
+            console.log(`🗺️  Sitemap ${sitemapUrl}: ${entries.length} URLs, ${sitemaps.length} nested sitemaps`);
+        } catch (error) {
+            // Most sites simply have no /sitemap.xml - only report sitemaps something pointed us at
+            if (sitemapUrl === defaultSitemap && error.response?.status === 404) {
+                console.log('ℹ️  No /sitemap.xml found');
+                continue;
+            }
+            logWarning(`Could not read sitemap ${sitemapUrl}: ${error.message}`);
+            errors.push({ url: sitemapUrl, error: error.message, ...(error.blocked && { blocked: true, reason: error.reason }) });
+        }
+    }
+
+    const unread = new Set(queue.filter(url => !fetched.has(url)));
+    if (unread.size > 0) {
+        logWarning(`Sitemap limit reached - ${unread.size} sitemap(s) not read`);
+    }
+
+    const entries = [...entriesByUrl.values()].sort(compareSitemapEntries);
+    if (entries.length > 0) {
+        logSuccess(`Sitemaps list ${entries.length} URLs in scope`);
+    }
+
+    return {
+        entries,
+        sitemaps: read,
+        errors
+    };
+}
+
+module.exports = {
+    discoverSitemapUrls,
+    parseSitemap,
+    compareSitemapEntries
+};
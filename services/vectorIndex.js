@@ -0,0 +1,322 @@
+const { dotProduct } = require('../utils/textUtils');
+const {
+    ragVectorSearch,
+    ragAnnMinChunks,
+    hnswM,
+    hnswEfConstruction,
+    hnswEfSearch
+} = require('../config/environment');
+
+// HNSW (hierarchical navigable small world) graph over unit-length Float32Array vectors.
+// Layer 0 holds every vector; each higher layer holds an exponentially thinner sample and
+// is used to find a good entry point before the dense search on layer 0.
+const MAX_NEIGHBORS = hnswM;
+const MAX_NEIGHBORS_LAYER0 = hnswM * 2;
+const LEVEL_MULTIPLIER = 1 / Math.log(Math.max(hnswM, 2));
+const INSERT_BATCH_SIZE = 200;
+const COMPACT_RATIO = 0.3;
+
+// State - graph nodes point at the chunk objects held in ragService
+let nodes = [];              // { doc, vector, level, neighbors: number[][], deleted }
+let nodeByDoc = new Map();   // chunk -> node id
+let liveDocs = new Set();    // chunks that should be searchable, inserted into the graph or not
+let pending = [];            // chunks waiting to be inserted into the graph
+let entryPoint = -1;
+let maxLevel = -1;
+let deletedCount = 0;
+let generation = 0;
+let draining = null;
+
+function distance(a, b) {
+    return 1 - dotProduct(a, b);
+}
+
+// Minimal binary heap - compare(a, b) < 0 means a comes out first
+function createHeap(compare) {
+    const items = [];
+    
+    return {
+        get size() {
+            return items.length;
+        },
+        peek: () => items[0],
+        toArray: () => items.slice(),
+        push(item) {
+            items.push(item);
+            let i = items.length - 1;
+            while (i > 0) {
+                const parent = (i - 1) >> 1;
+                if (compare(items[i], items[parent]) >= 0) break;
+                [items[i], items[parent]] = [items[parent], items[i]];
+                i = parent;
+            }
+        },
+        pop() {
+            const top = items[0];
+            const last = items.pop();
+            if (items.length > 0) {
+                items[0] = last;
+                let i = 0;
+                while (true) {
+                    const left = i * 2 + 1;
+                    const right = left + 1;
+                    let smallest = i;
+                    if (left < items.length && compare(items[left], items[smallest]) < 0) smallest = left;
+                    if (right < items.length && compare(items[right], items[smallest]) < 0) smallest = right;
+                    if (smallest === i) break;
+                    [items[i], items[smallest]] = [items[smallest], items[i]];
+                    i = smallest;
+                }
+            }
+            return top;
+        }
+    };
+}
+
+// Best-first search of one layer, returning up to ef nearest nodes sorted by distance
+function searchLayer(query, entryIds, ef, level) {
+    const visited = new Set(entryIds);
+    const candidates = createHeap((a, b) => a.distance - b.distance);
+    const results = createHeap((a, b) => b.distance - a.distance);
+    
+    for (const id of entryIds) {
+        const entry = { id, distance: distance(query, nodes[id].vector) };
+        candidates.push(entry);
+        results.push(entry);
+    }
+    
+    while (candidates.size > 0) {
+        const current = candidates.pop();
+        if (results.size >= ef && current.distance > results.peek().distance) break;
+        
+        for (const neighborId of nodes[current.id].neighbors[level] || []) {
+            if (visited.has(neighborId)) continue;
+            visited.add(neighborId);
+            
+            const neighborDistance = distance(query, nodes[neighborId].vector);
+            if (results.size < ef || neighborDistance < results.peek().distance) {
+                const neighbor = { id: neighborId, distance: neighborDistance };
+                candidates.push(neighbor);
+                results.push(neighbor);
+                if (results.size > ef) results.pop();
+            }
+        }
+    }
+    
+    return results.toArray().sort((a, b) => a.distance - b.distance);
+}
+
+// Walk down the upper layers greedily to find where the layer-0 search should start
+function findEntryPoint(query, targetLevel) {
+    let current = entryPoint;
+    for (let level = maxLevel; level > targetLevel; level--) {
+        current = searchLayer(query, [current], 1, level)[0].id;
+    }
+    return current;
+}
+
+// Neighbour selection heuristic: skip a candidate that is closer to an already selected
+// neighbour than to the base node, so links spread across clusters instead of within one
+function selectNeighbors(candidates, maxNeighbors) {
+    const selected = [];
+    
+    for (const candidate of candidates) {
+        if (selected.length >= maxNeighbors) break;
+        
+        const vector = nodes[candidate.id].vector;
+        const redundant = selected.some(chosen => distance(vector, nodes[chosen.id].vector) < candidate.distance);
+        if (!redundant) selected.push(candidate);
+    }
+    
+    return selected.map(candidate => candidate.id);
+}
+
+function pruneNeighbors(nodeId, level, maxNeighbors) {
+    const node = nodes[nodeId];
+    const candidates = node.neighbors[level]
+        .map(id => ({ id, distance: distance(node.vector, nodes[id].vector) }))
+        .sort((a, b) => a.distance - b.distance);
+    node.neighbors[level] = selectNeighbors(candidates, maxNeighbors);
+}
+
+function insertNode(doc) {
+    const level = Math.floor(-Math.log(1 - Math.random()) * LEVEL_MULTIPLIER);
+    const id = nodes.length;
+    const node = {
+        doc,
+        vector: doc.embedding,
+        level,
+        neighbors: Array.from({ length: level + 1 }, () => []),
+        deleted: false
+    };
+    
+    nodes.push(node);
+    nodeByDoc.set(doc, id);
+    
+    if (entryPoint === -1) {
+        entryPoint = id;
+        maxLevel = level;
+        return;
+    }
+    
+    let entryIds = [findEntryPoint(node.vector, level)];
+    
+    for (let l = Math.min(level, maxLevel); l >= 0; l--) {
+        const found = searchLayer(node.vector, entryIds, hnswEfConstruction, l);
+        const maxNeighbors = l === 0 ? MAX_NEIGHBORS_LAYER0 : MAX_NEIGHBORS;
+        
+        node.neighbors[l] = selectNeighbors(found, MAX_NEIGHBORS);
+        
+        for (const neighborId of node.neighbors[l]) {
+            nodes[neighborId].neighbors[l].push(id);
+            if (nodes[neighborId].neighbors[l].length > maxNeighbors) {
+                pruneNeighbors(neighborId, l, maxNeighbors);
+            }
+        }
+        
+        entryIds = found.map(result => result.id);
+    }
+    
+    if (level > maxLevel) {
+        maxLevel = level;
+        entryPoint = id;
+    }
+}
+
+function resetGraph() {
+    nodes = [];
+    nodeByDoc = new Map();
+    entryPoint = -1;
+    maxLevel = -1;
+    deletedCount = 0;
+}
+
+// Insert queued chunks in batches, yielding between batches so indexing never blocks requests
+async function drainPending() {
+    const drainGeneration = generation;
+    
+    while (pending.length > 0 && drainGeneration === generation) {
+        const batch = pending.splice(0, INSERT_BATCH_SIZE);
+        for (const doc of batch) {
+            if (liveDocs.has(doc) && !nodeByDoc.has(doc)) {
+                insertNode(doc);
+            }
+        }
+        await new Promise(resolve => setImmediate(resolve));
+    }
+}
+
+function scheduleDrain() {
+    if (draining) return draining;
+    
+    draining = drainPending().finally(() => {
+        draining = null;
+        
+        // A rebuild started while the previous drain was running - pick up its queue
+        if (pending.length > 0) scheduleDrain();
+    });
+    
+    return draining;
+}
+
+function addToVectorIndex(chunks) {
+    const added = chunks.filter(doc => doc.embedding && !liveDocs.has(doc));
+    if (added.length === 0) return;
+    
+    added.forEach(doc => liveDocs.add(doc));
+    pending.push(...added);
+    scheduleDrain();
+}
+
+// HNSW has no cheap delete, so removed nodes stay in the graph as tombstones until compaction
+function removeFromVectorIndex(chunks) {
+    for (const doc of chunks) {
+        if (!liveDocs.delete(doc)) continue;
+        
+        const id = nodeByDoc.get(doc);
+        if (id !== undefined && !nodes[id].deleted) {
+            nodes[id].deleted = true;
+            deletedCount++;
+        }
+    }
+    
+    if (nodes.length > 0 && deletedCount / nodes.length > COMPACT_RATIO) {
+        rebuildVectorIndex([...liveDocs]);
+    }
+}
+
+function rebuildVectorIndex(chunks) {
+    generation++;
+    resetGraph();
+    liveDocs = new Set(chunks.filter(doc => doc.embedding));
+    pending = [...liveDocs];
+    scheduleDrain();
+}
+
+// Exact scan over every live vector - the reference answer for the approximate search
+function exactSearch(queryVector, { topK, filter }) {
+    const results = [];
+    for (const doc of liveDocs) {
+        if (filter && !filter(doc)) continue;
+        results.push({ doc, similarity: dotProduct(queryVector, doc.embedding) });
+    }
+    return results.sort((a, b) => b.similarity - a.similarity).slice(0, topK);
+}
+
+function approximateSearch(queryVector, { topK, filter }) {
+    const ef = Math.max(hnswEfSearch, filter ? topK * 4 : topK);
+    const found = searchLayer(queryVector, [findEntryPoint(queryVector, 0)], ef, 0);
+    
+    return found
+        .filter(result => !nodes[result.id].deleted && (!filter || filter(nodes[result.id].doc)))
+        .slice(0, topK)
+        .map(result => ({ doc: nodes[result.id].doc, similarity: 1 - result.distance }));
+}
+
+// Which search a query will get: exact when configured, when the index is too small for the
+// graph to pay off, or while chunks are still waiting to be inserted
+function getSearchMode(exact = false) {
+    if (exact || ragVectorSearch === 'exact') return 'exact';
+    if (liveDocs.size < ragAnnMinChunks) return 'exact';
+    if (pending.length > 0 || entryPoint === -1) return 'exact';
+    return 'hnsw';
+}
+
+// Nearest chunks to a unit-length query vector: [{ doc, similarity }]
+function searchVectorIndex(queryVector, { topK = 10, filter = null, exact = false } = {}) {
+    if (liveDocs.size === 0) return [];
+    
+    if (getSearchMode(exact) === 'exact') {
+        return exactSearch(queryVector, { topK, filter });
+    }
+    
+    const results = approximateSearch(queryVector, { topK, filter });
+    
+    // A selective filter, or deleted chunks still in the graph, can leave the neighbourhood with too few matches - scan instead
+    if (results.length < (filter ? topK : Math.min(topK, liveDocs.size))) {
+        return exactSearch(queryVector, { topK, filter });
+    }
+    
+    return results;
+}
+
+module.exports = {
+    addToVectorIndex,
+    removeFromVectorIndex,
+    rebuildVectorIndex,
+    searchVectorIndex,
+    getSearchMode,
+    waitForVectorIndex: () => draining || Promise.resolve(),
+    getVectorIndexStats: () => ({
+        mode: getSearchMode(),
+        configuredMode: ragVectorSearch,
+        vectors: liveDocs.size,
+        graphNodes: nodes.length - deletedCount,
+        tombstones: deletedCount,
+        pending: pending.length,
+        maxLevel,
+        m: hnswM,
+        efConstruction: hnswEfConstruction,
+        efSearch: hnswEfSearch
+    })
+};
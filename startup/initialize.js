@@ -1,8 +1,10 @@
-const { isAzureAppService, useLocalModel, websiteAutoCrawl, websiteMaxPages, websiteCrawlDelay } = require('../config/environment');
-const { initializeAzureOpenAI } = require('../models/azureOpenAI');
-const { initializeLocalModel, conditionallyLoadTransformers } = require('../models/localModels');
-const { initializeEmbedder } = require('../services/ragService');
-const { crawlAndIndexWebsite } = require('../services/crawling');
+const { isAzureAppService, websiteAutoCrawl, websiteMaxPages, websiteCrawlDelay, embeddings, llm } = require('../config/environment');
+const { getLlmProvider } = require('../models/llmProviders');
+const { getReadyProvider } = require('../models/llmFallback');
+const { conditionallyLoadTransformers } = require('../models/localModels');
+const { initializeEmbedder, loadPersistedIndex } = require('../services/ragService');
+const { loadPromptTemplates } = require('../services/promptTemplates');
+const { createCrawlJob, waitForCrawlJob } = require('../services/crawlJobService');
 const { detectBaseUrl } = require('../utils/urlUtils');
 const { logSuccess, logWarning, logError } = require('../utils/logger');
 
@@ -10,42 +12,55 @@ async function initializeServices() {
     console.log('\n🚀 INITIALIZING SERVICES 🚀');
     console.log('Environment:', process.env.NODE_ENV || 'not set');
     console.log('Azure App Service:', isAzureAppService ? 'YES (' + process.env.WEBSITE_SITE_NAME + ')' : 'NO');
-    console.log('Use Local Model:', useLocalModel);
+    console.log('LLM Provider:', llm.provider);
     
     // Detect and log the base URL
     const detectedUrl = detectBaseUrl();
     console.log('Detected Base URL:', detectedUrl);
     
+    // Restore the index saved by a previous run before anything adds to it
+    await loadPersistedIndex();
+    await loadPromptTemplates();
+    
     if (isAzureAppService) {
         console.log('🌐 Azure App Service mode - optimizing for cloud deployment');
         
-        // Force Azure OpenAI mode in App Service
-        process.env.USE_LOCAL_MODEL = 'false';
-        
-        // Initialize Azure OpenAI only
+        // Local models can't run in App Service - any of the HTTP providers can
         try {
-            const requiredVars = ['AZURE_OPENAI_ENDPOINT', 'AZURE_OPENAI_KEY', 'AZURE_OPENAI_DEPLOYMENT'];
-            const missing = requiredVars.filter(varName => !process.env[varName]);
-            
-            if (missing.length > 0) {
-                logError(`Missing Azure OpenAI environment variables: ${missing.join(', ')}`);
-                console.error('Please configure these in Azure App Service Application Settings');
-                return;
+            const provider = getLlmProvider();
+            if (provider.name === 'transformers') {
+                logError('LLM_PROVIDER=transformers is not supported in Azure App Service - set LLM_PROVIDER to azure-openai, openai, openai-compatible or ollama');
+            } else if (await provider.initialize()) {
+                logSuccess(`${provider.label} ready for production`);
+            } else {
+                logError(`${provider.label} initialization failed: ${provider.getStatus().error}`);
             }
             
-            const azureOpenAIClient = initializeAzureOpenAI();
-            if (azureOpenAIClient) {
-                logSuccess('Azure OpenAI client ready for production');
-            } else {
-                logError('Azure OpenAI client initialization failed');
+            // Requests fail over along LLM_FALLBACK_PROVIDERS, so a broken primary doesn't stop embeddings or the auto-crawl
+            const readyProvider = getReadyProvider();
+            if (!readyProvider) {
+                logError('No provider in LLM_PROVIDER or LLM_FALLBACK_PROVIDERS is ready - chat requests will fail');
+                console.error('Please configure these in Azure App Service Application Settings');
+            } else if (readyProvider !== provider) {
+                logWarning(`Answering with fallback provider ${readyProvider.label} (${readyProvider.model}) until ${provider.label} is configured`);
             }
         } catch (error) {
-            logError(`Azure OpenAI startup error: ${error.message}`);
+            logError(`LLM provider startup error: ${error.message}`);
         }
         
-        // Skip embedder and transformers entirely in Azure App Service
-        console.log('⏭️ Skipping embedder initialization in Azure App Service');
-        console.log('💡 Using Azure OpenAI for all functionality');
+        // Transformers.js is skipped in Azure App Service - only Azure OpenAI embeddings can run here
+        if (embeddings.provider === 'azure-openai') {
+            console.log('🔧 Initializing Azure OpenAI embeddings for RAG...');
+            const embedder = await initializeEmbedder();
+            if (embedder) {
+                logSuccess('Azure OpenAI embeddings ready for semantic RAG');
+            } else {
+                logWarning('Azure OpenAI embeddings not available - will use BM25 keyword search');
+            }
+        } else {
+            console.log('⏭️ Skipping embedder initialization in Azure App Service');
+            console.log('💡 Set AZURE_OPENAI_EMBEDDING_DEPLOYMENT to enable semantic RAG; using BM25 keyword search');
+        }
         
     } else {
         // Local development - always try to initialize embedder for RAG
@@ -54,20 +69,15 @@ async function initializeServices() {
         // Load transformers for embeddings (needed for RAG even with Azure OpenAI)
         await conditionallyLoadTransformers();
         
-        if (!useLocalModel) {
-            console.log('🌐 Local development with Azure OpenAI...');
-            try {
-                const azureOpenAIClient = initializeAzureOpenAI();
-                if (azureOpenAIClient) {
-                    logSuccess('Azure OpenAI client ready');
-                }
-            } catch (error) {
-                logError(`Azure OpenAI initialization error: ${error.message}`);
+        // For the transformers provider this loads the local model
+        try {
+            const provider = getLlmProvider();
+            console.log(provider.name === 'transformers' ? '🤖 Local model mode enabled' : `🌐 Local development with ${provider.label}...`);
+            if (await provider.initialize()) {
+                logSuccess(`${provider.label} ready (${provider.model})`);
             }
-        } else {
-            console.log('🤖 Local model mode enabled');
-            const modelName = process.env.LOCAL_MODEL_NAME || 'distilgpt2';
-            await initializeLocalModel(modelName);
+        } catch (error) {
+            logError(`LLM provider initialization error: ${error.message}`);
         }
         
         // Try to initialize embedder for RAG (local development)
@@ -94,12 +104,17 @@ async function initializeServices() {
                 const baseUrl = detectBaseUrl();
                 console.log('Auto-crawl target URL:', baseUrl);
                 
-                await crawlAndIndexWebsite(baseUrl, {
+                const job = createCrawlJob(baseUrl, {
                     maxPages: websiteMaxPages,
                     respectRobots: false,
                     includeExternalLinks: false,
                     crawlDelay: websiteCrawlDelay
-                });
+                }, 'startup');
+                
+                const finished = await waitForCrawlJob(job.id);
+                if (finished.status !== 'done') {
+                    throw new Error(finished.error || `job ${finished.status}`);
+                }
                 
                 logSuccess('Auto-crawl completed successfully');
             } catch (error) {
@@ -0,0 +1,48 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { resolveCitations } = require('../utils/citationUtils');
+
+const passages = [{ number: 1, title: 'Install' }, { number: 2, title: 'Configure' }];
+
+describe('citation markers', () => {
+    it('keeps markers for supplied passages and drops the rest', () => {
+        const result = resolveCitations('Run the installer [1][7]. Then set the port [2, 9].', passages);
+        
+        assert.equal(result.answer, 'Run the installer [1]. Then set the port [2].');
+        assert.deepEqual(result.usedMarkers, [1, 2]);
+        assert.deepEqual(result.invalidMarkers, [7, 9]);
+        assert.deepEqual(result.citations.map(c => c.cited), [true, true]);
+    });
+    
+    it('removes the space before a dropped marker without touching other spacing', () => {
+        const result = resolveCitations('Install it [5]. Then  restart [6]\n\n    indented line', passages);
+        
+        assert.equal(result.answer, 'Install it. Then  restart\n\n    indented line');
+    });
+    
+    it('leaves indexes in fenced and inline code alone', () => {
+        const answer = [
+            'Read the first item with `items[0]` [1].',
+            '',
+            '```js',
+            'function first(arr) {',
+            '    return arr[0] + arr[2];',
+            '}',
+            '```',
+            '',
+            'Or use `arr[3]` [4].'
+        ].join('\n');
+        
+        const result = resolveCitations(answer, passages);
+        
+        assert.equal(result.answer, answer.replace(' [4]', ''));
+        assert.deepEqual(result.usedMarkers, [1]);
+        assert.deepEqual(result.invalidMarkers, [4]);
+    });
+    
+    it('treats an unclosed code fence as code to the end of the answer', () => {
+        const answer = 'Example [1]:\n\n```\nvalues[2]  =  values[9];';
+        
+        assert.equal(resolveCitations(answer, passages).answer, answer);
+    });
+});
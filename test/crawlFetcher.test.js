@@ -0,0 +1,106 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const robotsParser = require('robots-parser');
+const { startFixtureServer, quietLogs, sendHtml, htmlPage } = require('./fixtureServer');
+
+// The fixture site answers each path from a script of statuses, one per request, then 200 for good
+let server;
+let createCrawlFetcher;
+const scripts = {
+    '/flaky': [{ status: 500 }],
+    '/busy': [{ status: 429, headers: { 'Retry-After': '1' } }],
+    '/unavailable': [{ status: 503 }, { status: 503 }, { status: 503 }],
+    '/overloaded': [{ status: 503, headers: { 'Retry-After': '600' } }],
+    '/missing': [{ status: 404 }, { status: 404 }]
+};
+
+function requestsFor(path) {
+    return server.requests.filter(r => r.url === path);
+}
+
+before(async () => {
+    quietLogs();
+    server = await startFixtureServer((req, res) => {
+        const scripted = scripts[req.url] && scripts[req.url].shift();
+        if (scripted) {
+            res.writeHead(scripted.status, scripted.headers || {});
+            return res.end();
+        }
+        sendHtml(res, htmlPage(req.url));
+    });
+    
+    // The fixture site is on 127.0.0.1, which the fetch policy refuses by default
+    process.env.CRAWL_ALLOW_PRIVATE_NETWORKS = 'true';
+    ({ createCrawlFetcher } = require('../services/crawlFetcher'));
+});
+
+after(() => server.close());
+
+describe('crawl fetcher retries', () => {
+    it('retries a transient server error', async () => {
+        const fetcher = createCrawlFetcher({ maxRetries: 2 });
+        
+        const response = await fetcher.fetchPage(`${server.url}/flaky`);
+        
+        assert.equal(response.status, 200);
+        assert.equal(requestsFor('/flaky').length, 2);
+    });
+    
+    it('waits for Retry-After on 429 before retrying', async () => {
+        const fetcher = createCrawlFetcher({ maxRetries: 2 });
+        
+        const response = await fetcher.fetchPage(`${server.url}/busy`);
+        
+        const [first, second] = requestsFor('/busy');
+        assert.equal(response.status, 200);
+        assert.ok(second.at - first.at >= 950, `retried after ${second.at - first.at}ms`);
+    });
+    
+    it('gives up after maxRetries', async () => {
+        const fetcher = createCrawlFetcher({ maxRetries: 1 });
+        
+        await assert.rejects(fetcher.fetchPage(`${server.url}/unavailable`), error => error.response.status === 503);
+        assert.equal(requestsFor('/unavailable').length, 2);
+    });
+    
+    it('fails straight away when Retry-After is longer than the crawl will wait', async () => {
+        const fetcher = createCrawlFetcher({ maxRetries: 2 });
+        
+        await assert.rejects(fetcher.fetchPage(`${server.url}/overloaded`), error => error.response.status === 503);
+        assert.equal(requestsFor('/overloaded').length, 1);
+    });
+    
+    it('does not retry a 404', async () => {
+        const fetcher = createCrawlFetcher({ maxRetries: 2 });
+        
+        await assert.rejects(fetcher.fetchPage(`${server.url}/missing`), error => error.response.status === 404);
+        assert.equal(requestsFor('/missing').length, 1);
+    });
+});
+
+describe('crawl fetcher politeness', () => {
+    it('spaces concurrent requests to one host by crawlDelay', async () => {
+        const fetcher = createCrawlFetcher({ crawlDelay: 200 });
+        
+        await Promise.all(['/delay-a', '/delay-b', '/delay-c'].map(path => fetcher.fetchPage(`${server.url}${path}`)));
+        
+        const times = ['/delay-a', '/delay-b', '/delay-c'].map(path => requestsFor(path)[0].at).sort((a, b) => a - b);
+        assert.ok(times[1] - times[0] >= 190, `second request after ${times[1] - times[0]}ms`);
+        assert.ok(times[2] - times[1] >= 190, `third request after ${times[2] - times[1]}ms`);
+    });
+    
+    it('honours a robots.txt Crawl-delay longer than crawlDelay', async () => {
+        const robotsUrl = `${server.url}/robots.txt`;
+        const fetcher = createCrawlFetcher({
+            crawlDelay: 100,
+            robotsTxt: robotsParser(robotsUrl, 'User-agent: *\nCrawl-delay: 1\n'),
+            robotsHost: new URL(robotsUrl).host
+        });
+        
+        await fetcher.fetchPage(`${server.url}/robots-a`);
+        await fetcher.fetchPage(`${server.url}/robots-b`);
+        
+        const gap = requestsFor('/robots-b')[0].at - requestsFor('/robots-a')[0].at;
+        assert.ok(gap >= 950, `second request after ${gap}ms`);
+    });
+});
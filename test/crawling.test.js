@@ -0,0 +1,140 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const cheerio = require('cheerio');
+const { startFixtureServer, quietLogs, sendHtml, htmlPage } = require('./fixtureServer');
+
+// A small site on a mock server: the home page links to /guide only from its navigation menu, /guide
+// answers conditional requests with 304 while its ETag matches, and /broken-cache answers 304 to everything
+// until it is asked not to use caches
+let server;
+let dataDir;
+let crawlWebsite;
+let extractPageContent;
+let extractLinksFromPage;
+let guideEtag = '"guide-v1"';
+
+function site(req, res) {
+    const { pathname } = new URL(req.url, server.url);
+    
+    if (pathname === '/') {
+        return sendHtml(res, htmlPage('Home', { nav: ['/guide', '/broken-cache'] }));
+    }
+    if (pathname === '/guide') {
+        if (req.headers['if-none-match'] === guideEtag) {
+            res.writeHead(304, { ETag: guideEtag });
+            return res.end();
+        }
+        return sendHtml(res, htmlPage(`Guide ${guideEtag}`), { ETag: guideEtag });
+    }
+    if (pathname === '/broken-cache') {
+        if (req.headers['cache-control'] !== 'no-cache') {
+            res.writeHead(304);
+            return res.end();
+        }
+        return sendHtml(res, htmlPage('Broken cache'));
+    }
+    res.writeHead(404);
+    res.end();
+}
+
+function requestsFor(pathname) {
+    return server.requests.filter(r => r.url === pathname);
+}
+
+const crawlOptions = { crawlDelay: 0, useSitemaps: false, respectRobots: false };
+
+before(async () => {
+    quietLogs();
+    server = await startFixtureServer(site);
+    
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'webappchatbot-test-'));
+    Object.assign(process.env, {
+        RAG_DATA_DIR: dataDir,
+        RAG_PERSIST_INDEX: 'false',
+        CRAWL_ALLOW_PRIVATE_NETWORKS: 'true'
+    });
+    
+    ({ crawlWebsite, extractPageContent, extractLinksFromPage } = require('../services/crawling'));
+});
+
+after(async () => {
+    await server.close();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+describe('website crawl', () => {
+    let firstCrawl;
+    
+    before(async () => {
+        firstCrawl = await crawlWebsite(`${server.url}/`, crawlOptions);
+    });
+    
+    it('follows links that only appear in the navigation menu', () => {
+        const urls = firstCrawl.pages.map(page => page.url).sort();
+        
+        assert.deepEqual(urls, [`${server.url}/`, `${server.url}/broken-cache`, `${server.url}/guide`]);
+    });
+    
+    it('records the ETag of each page', () => {
+        const guide = firstCrawl.pages.find(page => page.url === `${server.url}/guide`);
+        
+        assert.equal(guide.pageState.etag, '"guide-v1"');
+        assert.ok(guide.pageState.contentHash);
+    });
+    
+    it('refetches a 304 that answered a request that was not conditional', () => {
+        const [first, second] = requestsFor('/broken-cache');
+        
+        assert.equal(first.headers['if-none-match'], undefined);
+        assert.equal(second.headers['cache-control'], 'no-cache');
+        assert.equal(second.headers.pragma, 'no-cache');
+    });
+});
+
+describe('incremental crawl', () => {
+    const knownPagesFrom = crawl => new Map([...crawl.pages.map(page => page.pageState), ...crawl.unchangedPages]
+        .map(state => [state.url, state]));
+    
+    it('sends If-None-Match and keeps pages the server reports unchanged', async () => {
+        const firstCrawl = await crawlWebsite(`${server.url}/`, crawlOptions);
+        
+        const secondCrawl = await crawlWebsite(`${server.url}/`, { ...crawlOptions, knownPages: knownPagesFrom(firstCrawl) });
+        
+        const request = requestsFor('/guide').at(-1);
+        assert.equal(request.headers['if-none-match'], '"guide-v1"');
+        assert.ok(secondCrawl.unchangedPages.some(page => page.url === `${server.url}/guide` && page.etag === '"guide-v1"'));
+        assert.ok(!secondCrawl.pages.some(page => page.url === `${server.url}/guide`));
+        assert.equal(secondCrawl.complete, true);
+    });
+    
+    it('re-indexes a page once its ETag changes', async () => {
+        const firstCrawl = await crawlWebsite(`${server.url}/`, crawlOptions);
+        guideEtag = '"guide-v2"';
+        
+        const secondCrawl = await crawlWebsite(`${server.url}/`, { ...crawlOptions, knownPages: knownPagesFrom(firstCrawl) });
+        
+        const guide = secondCrawl.pages.find(page => page.url === `${server.url}/guide`);
+        assert.equal(requestsFor('/guide').at(-1).headers['if-none-match'], '"guide-v1"');
+        assert.equal(guide.pageState.etag, '"guide-v2"');
+        assert.match(guide.title, /guide-v2/);
+    });
+});
+
+describe('page extraction', () => {
+    it('leaves the navigation in the page for link discovery', () => {
+        const $ = cheerio.load(`<html><body><header class="site-header">Acme</header>
+            <nav class="navigation"><a href="/guide">Guide</a></nav>
+            <main><article><header><h1>Home</h1></header><p>${'Welcome to the site. '.repeat(10)}</p></article></main>
+            <footer>Copyright</footer></body></html>`);
+        
+        const page = extractPageContent($, 'https://example.com/');
+        const links = extractLinksFromPage($, 'https://example.com/', 'https://example.com/', false);
+        
+        assert.deepEqual(links, ['https://example.com/guide']);
+        assert.match(page.content, /# Home/);
+        assert.doesNotMatch(page.content, /Guide|Acme|Copyright/);
+    });
+});
@@ -0,0 +1,71 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { startFixtureServer, quietLogs, sendJson, embeddingResponse } = require('./fixtureServer');
+
+// A mock OpenAI embeddings endpoint that refuses any chunk containing FAILME
+let server;
+let dataDir;
+let processDocument;
+let ragService;
+
+function writeUpload(name, text) {
+    const filePath = path.join(dataDir, name);
+    fs.writeFileSync(filePath, text);
+    return { originalname: name, path: filePath, mimetype: 'text/plain', size: text.length };
+}
+
+before(async () => {
+    quietLogs();
+    server = await startFixtureServer((req, res, request) => {
+        if (request.json.input.includes('FAILME')) {
+            return sendJson(res, 400, { error: { message: 'Input rejected' } });
+        }
+        sendJson(res, 200, embeddingResponse([1, 0, 0], request.json.model));
+    });
+    
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'webappchatbot-test-'));
+    Object.assign(process.env, {
+        RAG_DATA_DIR: dataDir,
+        RAG_PERSIST_INDEX: 'false',
+        RAG_CHUNK_SIZE: '5',
+        RAG_CHUNK_OVERLAP: '1',
+        EMBEDDING_PROVIDER: 'openai',
+        OPENAI_BASE_URL: `${server.url}/v1`,
+        OPENAI_API_KEY: 'test-key',
+        OPENAI_EMBEDDING_MODEL: 'text-embedding-3-small'
+    });
+    
+    ({ processDocument } = require('../services/documentService'));
+    ragService = require('../services/ragService');
+    assert.ok(await ragService.initializeEmbedder());
+});
+
+after(async () => {
+    await server.close();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+describe('document upload', () => {
+    it('indexes every chunk of a file that embeds', async () => {
+        const document = await processDocument(writeUpload('good.txt', 'one two three four five six seven eight nine ten'));
+        
+        assert.equal(document.chunks, 3);
+        assert.equal(ragService.getDocumentEmbeddings().filter(chunk => chunk.documentId === document.id).length, 3);
+    });
+    
+    it('fails a file when any of its chunks fails to embed, leaving nothing of it indexed', async () => {
+        const chunksBefore = ragService.getDocumentEmbeddings().length;
+        const documentsBefore = ragService.getDocumentStore().length;
+        
+        await assert.rejects(
+            processDocument(writeUpload('partial.txt', 'one two three four five six FAILME eight nine ten eleven twelve')),
+            /Embedding failed for 1 of 3 chunks/
+        );
+        
+        assert.equal(ragService.getDocumentEmbeddings().length, chunksBefore);
+        assert.equal(ragService.getDocumentStore().length, documentsBefore);
+    });
+});
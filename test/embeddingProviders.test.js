@@ -0,0 +1,90 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { startFixtureServer, quietLogs, sendJson, embeddingResponse } = require('./fixtureServer');
+
+// A mock server stands in for an Azure OpenAI embeddings deployment
+let server;
+let dataDir;
+let createEmbeddingProvider;
+let ragService;
+
+before(async () => {
+    quietLogs();
+    server = await startFixtureServer((req, res, request) => {
+        if (request.headers['api-key'] !== 'test-key') {
+            return sendJson(res, 401, { error: { message: 'Access denied due to invalid subscription key' } });
+        }
+        sendJson(res, 200, embeddingResponse([3, 4, 0], 'text-embedding-3-small', request.json.encoding_format));
+    });
+    
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'webappchatbot-test-'));
+    Object.assign(process.env, {
+        RAG_DATA_DIR: dataDir,
+        RAG_PERSIST_INDEX: 'false',
+        EMBEDDING_PROVIDER: 'azure-openai',
+        AZURE_OPENAI_EMBEDDING_ENDPOINT: `${server.url}/`,
+        AZURE_OPENAI_EMBEDDING_KEY: 'test-key',
+        AZURE_OPENAI_EMBEDDING_DEPLOYMENT: 'embeddings-deployment',
+        AZURE_OPENAI_EMBEDDING_VERSION: '2024-08-01-preview'
+    });
+    
+    ({ createEmbeddingProvider } = require('../services/embeddingProviders'));
+    ragService = require('../services/ragService');
+});
+
+after(async () => {
+    await server.close();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+describe('Azure OpenAI embedding provider', () => {
+    it('posts to the embeddings deployment with the api-key header and api-version, with no chat deployment set', async () => {
+        const provider = createEmbeddingProvider();
+        
+        assert.equal(provider.modelId, 'azure-openai:embeddings-deployment');
+        assert.equal(await provider.initialize(), true);
+        assert.deepEqual(await provider.embed('some text'), [3, 4, 0]);
+        
+        const request = server.requests.at(-1);
+        assert.equal(request.method, 'POST');
+        assert.equal(request.url, '/openai/deployments/embeddings-deployment/embeddings?api-version=2024-08-01-preview');
+        assert.equal(request.headers['api-key'], 'test-key');
+        assert.equal(request.json.input, 'some text');
+        assert.equal(request.json.encoding_format, 'float');
+    });
+    
+    it('refuses to start without a deployment', async () => {
+        const deployment = process.env.AZURE_OPENAI_EMBEDDING_DEPLOYMENT;
+        delete process.env.AZURE_OPENAI_EMBEDDING_DEPLOYMENT;
+        // The configuration is read when these modules load
+        ['../config/environment', '../models/llmProviders', '../services/embeddingProviders']
+            .forEach(module => delete require.cache[require.resolve(module)]);
+        
+        try {
+            const provider = require('../services/embeddingProviders').createEmbeddingProvider('azure-openai');
+            assert.equal(await provider.initialize(), false);
+        } finally {
+            process.env.AZURE_OPENAI_EMBEDDING_DEPLOYMENT = deployment;
+        }
+    });
+});
+
+describe('RAG embeddings', () => {
+    it('normalises the vectors the endpoint returns', async () => {
+        const embedding = await ragService.generateEmbedding('some text');
+        
+        assert.deepEqual(Array.from(embedding, value => Math.round(value * 1000) / 1000), [0.6, 0.8, 0]);
+        assert.equal(ragService.getEmbeddingModelId(), 'azure-openai:embeddings-deployment');
+    });
+    
+    it('only compares vectors made by the active model', () => {
+        const embedding = [0.6, 0.8, 0];
+        
+        assert.equal(ragService.hasCompatibleEmbedding({ embedding, embeddingModel: 'azure-openai:embeddings-deployment' }), true);
+        assert.equal(ragService.hasCompatibleEmbedding({ embedding, embeddingModel: 'openai:text-embedding-3-small' }), false);
+        assert.equal(ragService.hasCompatibleEmbedding({ embedding }), false, 'chunks from before embedding models were recorded');
+    });
+});
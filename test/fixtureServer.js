@@ -0,0 +1,98 @@
+const http = require('http');
+const { mock } = require('node:test');
+
+// Local HTTP stand-in for the services the app talks to - model APIs, embeddings endpoints and websites.
+// handler(req, res, request) answers each request; every request is recorded in requests as
+// { method, url, headers, body, json, at } so tests can check what the app sent and when.
+async function startFixtureServer(handler) {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => body += chunk);
+        req.on('end', () => {
+            let json = null;
+            try {
+                json = body ? JSON.parse(body) : null;
+            } catch (error) {
+                // Not every request has a JSON body
+            }
+            
+            const request = { method: req.method, url: req.url, headers: req.headers, body, json, at: Date.now() };
+            requests.push(request);
+            handler(req, res, request);
+        });
+    });
+    
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    
+    return {
+        url: `http://127.0.0.1:${server.address().port}`,
+        requests,
+        close() {
+            server.closeAllConnections();
+            return new Promise(resolve => server.close(resolve));
+        }
+    };
+}
+
+function sendJson(res, status, data, headers = {}) {
+    res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+    res.end(JSON.stringify(data));
+}
+
+function sendHtml(res, html, headers = {}) {
+    res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8', ...headers });
+    res.end(html);
+}
+
+// A page with enough text to be indexed, optional navigation links and a main body
+function htmlPage(title, { nav = [], body = '' } = {}) {
+    const links = nav.map(href => `<a href="${href}">${href}</a>`).join(' ');
+    const text = body || `${title} explains the topic in detail. `.repeat(12);
+    return `<!DOCTYPE html><html><head><title>${title}</title></head><body>` +
+        `<nav>${links}</nav><main><h1>${title}</h1><p>${text}</p></main></body></html>`;
+}
+
+// OpenAI chat completions and embeddings responses, in the shape the openai SDK parses
+function chatCompletion(content) {
+    return {
+        id: 'chatcmpl-test',
+        object: 'chat.completion',
+        choices: [{ index: 0, message: { role: 'assistant', content }, finish_reason: 'stop' }]
+    };
+}
+
+function streamChatCompletion(res, deltas) {
+    res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+    for (const delta of deltas) {
+        const chunk = { id: 'chatcmpl-test', object: 'chat.completion.chunk', choices: [{ index: 0, delta: { content: delta } }] };
+        res.write(`data: ${JSON.stringify(chunk)}\n\n`);
+    }
+    res.write('data: [DONE]\n\n');
+    res.end();
+}
+
+// The SDK asks for base64 unless the caller sets encoding_format, as the real API allows
+function embeddingResponse(vector, model = 'test-embedding', encodingFormat = 'float') {
+    const embedding = encodingFormat === 'base64'
+        ? Buffer.from(new Float32Array(vector).buffer).toString('base64')
+        : vector;
+    return { object: 'list', data: [{ object: 'embedding', index: 0, embedding }], model };
+}
+
+// The services log progress with console.log, which the Node 20 test runner can fail to parse when it lands
+// mid-report - keep it out of the test output
+function quietLogs() {
+    mock.method(console, 'log', () => {});
+}
+
+module.exports = {
+    startFixtureServer,
+    quietLogs,
+    sendJson,
+    sendHtml,
+    htmlPage,
+    chatCompletion,
+    streamChatCompletion,
+    embeddingResponse
+};
@@ -0,0 +1,25 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+
+let groundedTemplateConflict;
+
+before(() => {
+    Object.assign(process.env, { ANSWER_MODE: 'open', GROUNDED_PROMPT_TEMPLATE: 'grounded' });
+    ({ groundedTemplateConflict } = require('../services/grounding'));
+});
+
+describe('grounded prompt template', () => {
+    it('refuses any other template for a grounded answer', () => {
+        assert.match(groundedTemplateConflict('default', 'grounded'), /use the grounded prompt template/);
+    });
+    
+    it('allows the grounded template, or none, in grounded mode', () => {
+        assert.equal(groundedTemplateConflict('grounded', 'grounded'), null);
+        assert.equal(groundedTemplateConflict(undefined, 'grounded'), null);
+    });
+    
+    it('allows any template in open mode, including when ANSWER_MODE supplies it', () => {
+        assert.equal(groundedTemplateConflict('default', 'open'), null);
+        assert.equal(groundedTemplateConflict('default'), null);
+    });
+});
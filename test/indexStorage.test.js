@@ -0,0 +1,73 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { quietLogs } = require('./fixtureServer');
+
+let dataDir;
+let indexStorage;
+
+const documents = [{ id: 'doc-1', filename: 'guide.txt', type: 'document' }];
+const chunks = [
+    { chunk: 'First chunk', documentId: 'doc-1', chunkIndex: 0 },
+    { chunk: 'Second chunk', documentId: 'doc-1', chunkIndex: 1 }
+];
+
+function backups(name) {
+    return fs.readdirSync(dataDir).filter(file => file.startsWith(`${name}.corrupt-`));
+}
+
+before(() => {
+    quietLogs();
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'webappchatbot-test-'));
+    Object.assign(process.env, { RAG_DATA_DIR: dataDir, RAG_PERSIST_INDEX: 'true' });
+    indexStorage = require('../services/indexStorage');
+});
+
+beforeEach(async () => {
+    fs.readdirSync(dataDir).forEach(file => fs.rmSync(path.join(dataDir, file)));
+    await indexStorage.saveIndex(documents, chunks);
+});
+
+after(() => {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+describe('persisted index', () => {
+    it('loads an undamaged index as ok', async () => {
+        const loaded = await indexStorage.loadIndex();
+        
+        assert.deepEqual(loaded.documentStore, documents);
+        assert.deepEqual(loaded.documentEmbeddings, chunks);
+        assert.equal(indexStorage.getStorageStatus().integrity, 'ok');
+    });
+    
+    it('drops truncated chunk records, backs up chunks.jsonl and reports the shortfall against the manifest', async () => {
+        const content = fs.readFileSync(path.join(dataDir, 'chunks.jsonl'), 'utf8');
+        fs.writeFileSync(path.join(dataDir, 'chunks.jsonl'), content.slice(0, -10));
+        
+        const loaded = await indexStorage.loadIndex();
+        
+        assert.equal(loaded.documentEmbeddings.length, 1);
+        assert.equal(backups('chunks.jsonl').length, 1);
+        assert.equal(indexStorage.getStorageStatus().integrity, 'partial');
+        assert.equal(indexStorage.getStorageStatus().corruptRecords, 1);
+    });
+    
+    it('treats a documents.json that will not parse as corruption, not an empty store', async () => {
+        fs.writeFileSync(path.join(dataDir, 'documents.json'), '[{"id": "doc-1", "filena');
+        
+        const loaded = await indexStorage.loadIndex();
+        await indexStorage.flushWrites();
+        
+        assert.deepEqual(loaded.documentStore, []);
+        assert.equal(loaded.documentEmbeddings.length, 2);
+        assert.equal(indexStorage.getStorageStatus().integrity, 'recovered');
+        assert.equal(indexStorage.getStorageStatus().documentsCorrupt, true);
+        
+        const [backup] = backups('documents.json');
+        assert.equal(fs.readFileSync(path.join(dataDir, backup), 'utf8'), '[{"id": "doc-1", "filena');
+        assert.deepEqual(JSON.parse(fs.readFileSync(path.join(dataDir, 'documents.json'), 'utf8')), []);
+    });
+});
@@ -0,0 +1,190 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startFixtureServer, quietLogs, sendJson, chatCompletion, streamChatCompletion, embeddingResponse } = require('./fixtureServer');
+
+// One mock server stands in for api.openai.com (/openai), an OpenAI-compatible server (/compat) and
+// Ollama (/ollama). The model name in the request picks the behaviour.
+let server;
+let createLlmProvider;
+let generateWithFallback;
+
+function answer(req, res, request) {
+    const { model, stream } = request.json || {};
+    
+    if (request.url.endsWith('/embeddings')) {
+        return sendJson(res, 200, embeddingResponse([0.6, 0.8, 0], model));
+    }
+    if (model === 'rate-limited') {
+        return sendJson(res, 429, { error: { message: 'Rate limit reached' } }, { 'Retry-After': '7' });
+    }
+    if (model === 'unavailable') {
+        return sendJson(res, 503, { error: { message: 'Service unavailable' } });
+    }
+    if (stream) {
+        return streamChatCompletion(res, ['Hello', ' from', ` ${model}`]);
+    }
+    sendJson(res, 200, chatCompletion(`Hello from ${model}`));
+}
+
+function chatRequests(prefix) {
+    return server.requests.filter(r => r.url === `${prefix}/v1/chat/completions`);
+}
+
+before(async () => {
+    quietLogs();
+    server = await startFixtureServer(answer);
+    
+    Object.assign(process.env, {
+        LLM_PROVIDER: 'openai',
+        LLM_FALLBACK_PROVIDERS: 'openai:unavailable,ollama',
+        LLM_MAX_RETRIES: '1',
+        LLM_RETRY_BASE_MS: '1',
+        OPENAI_BASE_URL: `${server.url}/openai/v1`,
+        OPENAI_API_KEY: 'test-key',
+        OPENAI_MODEL: 'gpt-4o-mini',
+        OPENAI_EMBEDDING_MODEL: 'text-embedding-3-small',
+        LLM_BASE_URL: `${server.url}/compat/v1`,
+        LLM_MODEL: 'llama-3.1-8b-instruct',
+        OLLAMA_BASE_URL: `${server.url}/ollama`,
+        OLLAMA_MODEL: 'llama3.1',
+        OLLAMA_EMBEDDING_MODEL: 'nomic-embed-text',
+        OLLAMA_CONTEXT_WINDOW: '2048'
+    });
+    delete process.env.LLM_API_KEY;
+    
+    ({ createLlmProvider } = require('../models/llmProviders'));
+    ({ generateWithFallback } = require('../models/llmFallback'));
+});
+
+after(() => server.close());
+
+const messages = [
+    { role: 'system', content: 'Answer briefly.' },
+    { role: 'user', content: 'Hi' }
+];
+
+describe('OpenAI provider', () => {
+    it('sends chat completions with the API key and model', async () => {
+        const provider = createLlmProvider('openai');
+        
+        assert.equal(await provider.initialize(), true);
+        assert.equal(await provider.generate(messages, { maxTokens: 100 }), 'Hello from gpt-4o-mini');
+        
+        const request = chatRequests('/openai').at(-1);
+        assert.equal(request.headers.authorization, 'Bearer test-key');
+        assert.equal(request.json.model, 'gpt-4o-mini');
+        assert.deepEqual(request.json.messages, messages);
+        assert.equal(request.json.max_tokens, 100);
+    });
+    
+    it('streams deltas to onToken and resolves with the whole reply', async () => {
+        const provider = createLlmProvider('openai');
+        const tokens = [];
+        
+        const content = await provider.stream(messages, { onToken: token => tokens.push(token) });
+        
+        assert.deepEqual(tokens, ['Hello', ' from', ' gpt-4o-mini']);
+        assert.equal(content, 'Hello from gpt-4o-mini');
+        assert.equal(chatRequests('/openai').at(-1).json.stream, true);
+    });
+    
+    it('embeds with float encoding', async () => {
+        const provider = createLlmProvider('openai');
+        
+        assert.deepEqual(await provider.embed('some text'), [0.6, 0.8, 0]);
+        
+        const request = server.requests.filter(r => r.url === '/openai/v1/embeddings').at(-1);
+        assert.equal(request.json.model, 'text-embedding-3-small');
+        assert.equal(request.json.encoding_format, 'float');
+    });
+    
+    it('keeps the status and Retry-After of a failed request for the fallback chain', async () => {
+        const provider = createLlmProvider('openai', { model: 'rate-limited' });
+        const sentBefore = chatRequests('/openai').length;
+        
+        await assert.rejects(provider.generate(messages), error => {
+            assert.equal(error.status, 429);
+            assert.equal(error.headers['retry-after'], '7');
+            assert.match(error.message, /rate limit/i);
+            return true;
+        });
+        assert.equal(chatRequests('/openai').length - sentBefore, 1, 'the SDK must not retry on its own');
+    });
+    
+    it('sends reasoning models max_completion_tokens and their instructions in the user message', async () => {
+        const provider = createLlmProvider('openai', { model: 'o1-mini' });
+        
+        await provider.generate([...messages.slice(0, 1), { role: 'user', content: 'Earlier' }, { role: 'assistant', content: 'Reply' }, messages[1]]);
+        
+        const request = chatRequests('/openai').at(-1);
+        assert.equal(request.json.temperature, undefined);
+        assert.ok(request.json.max_completion_tokens > 0);
+        assert.ok(request.json.messages.every(m => m.role !== 'system'));
+        assert.equal(request.json.messages.at(-1).content, 'Answer briefly.\n\nHi');
+        assert.equal(request.json.messages[0].content, 'Earlier');
+    });
+});
+
+describe('OpenAI-compatible provider', () => {
+    it('talks to LLM_BASE_URL without needing an API key', async () => {
+        const provider = createLlmProvider('openai-compatible');
+        
+        assert.equal(provider.isReady(), true);
+        assert.equal(await provider.generate(messages), 'Hello from llama-3.1-8b-instruct');
+        
+        const request = chatRequests('/compat').at(-1);
+        assert.equal(request.headers.authorization, 'Bearer not-needed');
+        assert.equal(request.json.model, 'llama-3.1-8b-instruct');
+    });
+    
+    it('normalises system messages the same way when streaming', async () => {
+        const provider = createLlmProvider('openai-compatible', { model: 'o1-mini' });
+        provider.capabilities.streaming = true;
+        
+        await provider.stream(messages, { onToken: () => {} });
+        
+        const request = chatRequests('/compat').at(-1);
+        assert.equal(request.json.stream, true);
+        assert.deepEqual(request.json.messages, [{ role: 'user', content: 'Answer briefly.\n\nHi' }]);
+    });
+});
+
+describe('Ollama provider', () => {
+    it('uses the OpenAI API under /v1 and caps the context window at OLLAMA_CONTEXT_WINDOW', async () => {
+        const provider = createLlmProvider('ollama');
+        
+        assert.equal(provider.capabilities.contextWindow, 2048);
+        assert.equal(await provider.generate(messages), 'Hello from llama3.1');
+        assert.equal(chatRequests('/ollama').at(-1).json.model, 'llama3.1');
+    });
+    
+    it('streams and embeds', async () => {
+        const provider = createLlmProvider('ollama');
+        
+        assert.equal(await provider.stream(messages, { onToken: () => {} }), 'Hello from llama3.1');
+        assert.deepEqual(await provider.embed('some text'), [0.6, 0.8, 0]);
+        assert.equal(server.requests.filter(r => r.url === '/ollama/v1/embeddings').at(-1).json.model, 'nomic-embed-text');
+    });
+});
+
+describe('Provider selection', () => {
+    it('refuses unknown providers', () => {
+        assert.throws(() => createLlmProvider('nope'), /Unknown LLM provider: nope/);
+    });
+    
+    it('retries a failing provider, then falls back to the next one in the chain', async () => {
+        const sentBefore = chatRequests('/openai').length;
+        
+        // The chain is gpt-4o-mini, then LLM_FALLBACK_PROVIDERS - skip the healthy primary
+        const result = await generateWithFallback(messages, { filter: provider => provider.model !== 'gpt-4o-mini' });
+        
+        assert.equal(result.content, 'Hello from llama3.1');
+        assert.equal(result.provider, 'ollama');
+        assert.equal(result.attempts, 3);
+        assert.equal(result.failures.length, 1);
+        assert.equal(result.failures[0].model, 'unavailable');
+        assert.equal(result.failures[0].status, 503);
+        assert.equal(result.failures[0].attempts, 2);
+        assert.equal(chatRequests('/openai').length - sentBefore, 2);
+    });
+});
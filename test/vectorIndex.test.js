@@ -0,0 +1,51 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+
+let vectorIndex;
+
+function unit(values) {
+    const norm = Math.hypot(...values);
+    return Float32Array.from(values, value => value / norm);
+}
+
+// Chunks fanned out from [1, 0, 0], so chunk i is the i-th nearest to that query
+function createChunks(count) {
+    return Array.from({ length: count }, (_, i) => ({ id: i, embedding: unit([1, i / count, 0]) }));
+}
+
+before(() => {
+    // Use the graph from the first chunk, with a search beam narrow enough to end up among tombstones
+    Object.assign(process.env, {
+        RAG_VECTOR_SEARCH: 'hnsw',
+        RAG_ANN_MIN_CHUNKS: '0',
+        RAG_HNSW_EF_SEARCH: '10'
+    });
+    vectorIndex = require('../services/vectorIndex');
+});
+
+describe('HNSW vector index', () => {
+    it('still returns topK live chunks when the nearest ones are tombstones', async () => {
+        const chunks = createChunks(100);
+        vectorIndex.rebuildVectorIndex(chunks);
+        await vectorIndex.waitForVectorIndex();
+        
+        // Below the compaction ratio, so the deleted chunks stay in the graph
+        vectorIndex.removeFromVectorIndex(chunks.slice(0, 25));
+        assert.equal(vectorIndex.getVectorIndexStats().tombstones, 25);
+        assert.equal(vectorIndex.getSearchMode(), 'hnsw');
+        
+        const results = vectorIndex.searchVectorIndex(unit([1, 0, 0]), { topK: 10 });
+        
+        assert.deepEqual(results.map(result => result.doc.id), chunks.slice(25, 35).map(chunk => chunk.id));
+    });
+    
+    it('returns every live chunk when fewer than topK are left', async () => {
+        const chunks = createChunks(10);
+        vectorIndex.rebuildVectorIndex(chunks);
+        await vectorIndex.waitForVectorIndex();
+        
+        vectorIndex.removeFromVectorIndex(chunks.slice(0, 2));
+        
+        assert.equal(vectorIndex.searchVectorIndex(unit([1, 0, 0]), { topK: 10 }).length, 8);
+    });
+});
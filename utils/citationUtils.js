@@ -0,0 +1,74 @@
+// Inline citation markers: [1], [2][3] or [1, 2] - with the spaces before them, so a removed marker takes its space along
+const MARKER_PATTERN = /( *)\[(\d+(?:\s*,\s*\d+)*)\]/g;
+
+// Fenced code blocks (closed or running to the end of the answer) and inline code, where arr[0] is code, not a marker
+const CODE_PATTERN = /(```[\s\S]*?(?:```|$)|~~~[\s\S]*?(?:~~~|$)|`[^`\n]+`)/;
+
+// Turn retrieved chunks into numbered passages, numbered from 1 in retrieval order.
+// url is the deep link to the chunk's section when it has one; pageUrl is the page itself.
+function numberPassages(chunks) {
+    return chunks.map((chunk, i) => ({
+        number: i + 1,
+        title: chunk.title || chunk.source,
+        url: chunk.deepLink || chunk.url || null,
+        pageUrl: chunk.url || null,
+        headingPath: chunk.headingPath && chunk.headingPath.length > 0 ? chunk.headingPath.join(' > ') : null,
+        referrerUrl: chunk.referrerUrl || null,
+        source: chunk.source,
+        sourceId: chunk.sourceId || null,
+        type: chunk.type,
+        chunkIndex: chunk.chunkIndex,
+        chunk: chunk.chunk,
+        score: chunk.score
+    }));
+}
+
+// Prompt text for the passages - each starts with the marker the model should cite
+function formatPassages(passages) {
+    return passages
+        .map(p => `[${p.number}] ${p.title}${p.headingPath ? ` > ${p.headingPath}` : ''}${p.url ? ` (${p.url})` : ''}\n${p.chunk}`)
+        .join('\n\n');
+}
+
+// Check every marker in the answer against the passages that were supplied.
+// Markers that point at a passage that does not exist are removed from the answer; code is left as it is.
+// Returns { answer, citations, usedMarkers, invalidMarkers }; citations lists every supplied
+// passage with cited: true when the answer refers to it.
+function resolveCitations(answer, passages) {
+    const valid = new Set(passages.map(p => p.number));
+    const used = new Set();
+    const invalid = new Set();
+    
+    const resolveMarkers = (prose) => prose.replace(MARKER_PATTERN, (marker, spaces, list, offset) => {
+        const numbers = list.split(',').map(n => parseInt(n.trim()));
+        const kept = numbers.filter(n => valid.has(n));
+        
+        numbers.forEach(n => (valid.has(n) ? used : invalid).add(n));
+        if (kept.length > 0) {
+            return spaces + kept.map(n => `[${n}]`).join('');
+        }
+        
+        // A removed marker keeps the space before it only when a word follows, not a space, punctuation or the line end
+        const next = prose[offset + marker.length];
+        return next === undefined || /[\s.,;:!?)]/.test(next) ? '' : spaces;
+    });
+    
+    // split() with a capture group puts the code segments at the odd indexes
+    const cleaned = answer
+        .split(CODE_PATTERN)
+        .map((segment, i) => (i % 2 === 1 ? segment : resolveMarkers(segment)))
+        .join('');
+    
+    return {
+        answer: cleaned,
+        citations: passages.map(p => ({ ...p, cited: used.has(p.number) })),
+        usedMarkers: [...used].sort((a, b) => a - b),
+        invalidMarkers: [...invalid].sort((a, b) => a - b)
+    };
+}
+
+module.exports = {
+    numberPassages,
+    formatPassages,
+    resolveCitations
+};
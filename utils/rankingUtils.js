@@ -0,0 +1,77 @@
+const { cosineSimilarity, tokenize } = require('./textUtils');
+
+// Reciprocal rank fusion: each ranked list contributes 1 / (k + rank) for every item it contains
+function reciprocalRankFusion(rankedLists, k = 60) {
+    const scores = new Map();
+    
+    for (const list of rankedLists) {
+        list.forEach((item, rank) => {
+            scores.set(item, (scores.get(item) || 0) + 1 / (k + rank + 1));
+        });
+    }
+    
+    return [...scores.entries()]
+        .sort((a, b) => b[1] - a[1])
+        .map(([item, score]) => ({ item, score }));
+}
+
+// Token-set overlap, used when two chunks cannot be compared by embedding
+function jaccardSimilarity(tokensA, tokensB) {
+    if (tokensA.size === 0 || tokensB.size === 0) return 0;
+    
+    let intersection = 0;
+    for (const token of tokensA) {
+        if (tokensB.has(token)) intersection++;
+    }
+    
+    return intersection / (tokensA.size + tokensB.size - intersection);
+}
+
+// Maximal marginal relevance: trade relevance against similarity to chunks already picked
+// candidates: [{ doc, relevance }] with relevance normalised to 0..1
+function maximalMarginalRelevance(candidates, topK, { lambda = 0.7, canCompareEmbeddings = () => false } = {}) {
+    const tokenCache = new Map();
+    const tokensFor = (doc) => {
+        if (!tokenCache.has(doc)) {
+            tokenCache.set(doc, new Set(tokenize(doc.chunk)));
+        }
+        return tokenCache.get(doc);
+    };
+    
+    const similarity = (a, b) => {
+        if (canCompareEmbeddings(a) && canCompareEmbeddings(b)) {
+            return cosineSimilarity(a.embedding, b.embedding);
+        }
+        return jaccardSimilarity(tokensFor(a), tokensFor(b));
+    };
+    
+    const remaining = [...candidates];
+    const selected = [];
+    
+    while (selected.length < topK && remaining.length > 0) {
+        let bestIndex = 0;
+        let bestScore = -Infinity;
+        
+        remaining.forEach((candidate, i) => {
+            const redundancy = selected.length > 0
+                ? Math.max(...selected.map(s => similarity(candidate.doc, s.doc)))
+                : 0;
+            const mmrScore = lambda * candidate.relevance - (1 - lambda) * redundancy;
+            
+            if (mmrScore > bestScore) {
+                bestScore = mmrScore;
+                bestIndex = i;
+            }
+        });
+        
+        selected.push(remaining.splice(bestIndex, 1)[0]);
+    }
+    
+    return selected;
+}
+
+module.exports = {
+    reciprocalRankFusion,
+    jaccardSimilarity,
+    maximalMarginalRelevance
+};
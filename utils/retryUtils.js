@@ -0,0 +1,39 @@
+// Resolves after ms, or straight away once the signal is aborted
+function sleep(ms, signal) {
+    return new Promise(resolve => {
+        if (ms <= 0 || (signal && signal.aborted)) return resolve();
+        
+        const onAbort = () => {
+            clearTimeout(timer);
+            resolve();
+        };
+        const timer = setTimeout(() => {
+            if (signal) signal.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+        if (signal) signal.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+// Retry-After is either delay-seconds or an HTTP date; returns milliseconds, or null if absent or invalid
+function parseRetryAfter(value, now = Date.now()) {
+    if (!value) return null;
+    
+    if (/^\d+$/.test(value.trim())) {
+        return parseInt(value) * 1000;
+    }
+    
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+// Exponential backoff with full jitter so parallel retries don't line up
+function backoffDelay(attempt, baseMs = 500, maxMs = 30000) {
+    return Math.round(Math.random() * Math.min(maxMs, baseMs * 2 ** attempt));
+}
+
+module.exports = {
+    sleep,
+    parseRetryAfter,
+    backoffDelay
+};
@@ -1,4 +1,4 @@
-const { ragChunkSize, ragChunkOverlap } = require('../config/environment');
+const { ragChunkSize, ragChunkOverlap, ragChunkTokens, ragChunkOverlapTokens } = require('../config/environment');
 
 // Chunk text into smaller pieces
 function chunkText(text, chunkSize = ragChunkSize, overlap = ragChunkOverlap) {
@@ -15,15 +15,324 @@ function chunkText(text, chunkSize = ragChunkSize, overlap = ragChunkOverlap) {
     return chunks;
 }
 
+// Rough token count for sizing chunks: words are split into ~4-character pieces and each
+// punctuation mark counts once, which tracks BPE/WordPiece tokenizers closely enough for budgeting
+function estimateTokens(text) {
+    const pieces = text.match(/[\p{L}\p{N}]+|[^\s\p{L}\p{N}]/gu) || [];
+    return pieces.reduce((sum, piece) => sum + Math.max(1, Math.ceil(piece.length / 4)), 0);
+}
+
+// Sentences of a prose block; a break needs end punctuation followed by a capital, digit or quote
+function splitSentences(text) {
+    return text.split(/(?<=[.!?])\s+(?=["'“(\[]?[\p{Lu}\p{N}])/u).filter(sentence => sentence.trim());
+}
+
+// Split markdown into blocks at blank lines, keeping fenced code blocks whole
+function splitMarkdownBlocks(markdown) {
+    const blocks = [];
+    let current = [];
+    let fence = null;
+    
+    const flush = () => {
+        if (current.length > 0) blocks.push(current.join('\n'));
+        current = [];
+    };
+    
+    for (const line of markdown.split('\n')) {
+        const fenceMatch = line.match(/^\s*(```|~~~)/);
+        if (fence) {
+            current.push(line);
+            if (fenceMatch && fenceMatch[1] === fence) {
+                fence = null;
+                flush();
+            }
+        } else if (fenceMatch) {
+            flush();
+            fence = fenceMatch[1];
+            current.push(line);
+        } else if (!line.trim()) {
+            flush();
+        } else {
+            current.push(line);
+        }
+    }
+    flush();
+    
+    return blocks;
+}
+
+// Pack units (lines or sentences) into pieces of at most maxTokens, joined with separator, repeating
+// up to overlapTokens of trailing units at the start of the next piece. A unit that is too long on its
+// own is cut into word windows.
+function packUnits(units, maxTokens, separator, overlapTokens = 0) {
+    const pieces = [];
+    let current = [];
+    let tokens = 0;
+    
+    for (const unit of units) {
+        const unitTokens = estimateTokens(unit);
+        if (unitTokens > maxTokens) {
+            if (current.length > 0) pieces.push(current.join(separator));
+            const words = unit.split(/\s+/);
+            const wordsPerPiece = Math.max(1, Math.floor(words.length * maxTokens / unitTokens));
+            for (let i = 0; i < words.length; i += wordsPerPiece) {
+                pieces.push(words.slice(i, i + wordsPerPiece).join(' '));
+            }
+            current = [];
+            tokens = 0;
+            continue;
+        }
+        if (tokens + unitTokens > maxTokens && current.length > 0) {
+            pieces.push(current.join(separator));
+            
+            const carried = [];
+            let carriedTokens = 0;
+            for (let i = current.length - 1; i >= 0; i--) {
+                const carriedUnit = estimateTokens(current[i]);
+                if (carriedTokens + carriedUnit > overlapTokens || carriedTokens + carriedUnit + unitTokens > maxTokens) break;
+                carried.unshift(current[i]);
+                carriedTokens += carriedUnit;
+            }
+            current = carried;
+            tokens = carriedTokens;
+        }
+        current.push(unit);
+        tokens += unitTokens;
+    }
+    if (current.length > 0) pieces.push(current.join(separator));
+    
+    return pieces;
+}
+
+// Break a block over maxTokens: code is split by line and re-fenced, tables and lists by line
+// (tables repeat their header), and prose at sentence boundaries with overlapping sentences
+function splitLongBlock(block, maxTokens, overlapTokens) {
+    const lines = block.split('\n');
+    const fenceMatch = lines[0].match(/^(```|~~~)/);
+    
+    if (fenceMatch) {
+        const opening = lines.shift();
+        const closing = lines.length > 0 && lines[lines.length - 1].startsWith(fenceMatch[1]) ? lines.pop() : fenceMatch[1];
+        const budget = maxTokens - estimateTokens(`${opening}\n${closing}`);
+        return packUnits(lines, Math.max(1, budget), '\n').map(piece => `${opening}\n${piece}\n${closing}`);
+    }
+    
+    if (lines.length > 2 && lines[0].startsWith('|') && /^\|[\s|:-]+\|$/.test(lines[1])) {
+        const header = lines.slice(0, 2).join('\n');
+        const budget = maxTokens - estimateTokens(header);
+        return packUnits(lines.slice(2), Math.max(1, budget), '\n').map(piece => `${header}\n${piece}`);
+    }
+    
+    if (lines.length > 1) {
+        return packUnits(lines, maxTokens, '\n');
+    }
+    return packUnits(splitSentences(block), maxTokens, ' ', overlapTokens);
+}
+
+const HEADING_PATTERN = /^(#{1,6})\s+(.*?)(?:\s+\{#([^}\s]+)\})?\s*$/;
+
+// Group markdown blocks under their headings. Each section knows its heading path and the anchor of
+// its nearest heading that has one.
+function splitMarkdownSections(markdown) {
+    const sections = [];
+    const stack = [];   // { level, text, anchor } of the headings above the current block
+    let current = { headingPath: [], anchor: null, blocks: [] };
+    
+    for (const block of splitMarkdownBlocks(markdown)) {
+        const heading = block.includes('\n') ? null : block.match(HEADING_PATTERN);
+        if (!heading) {
+            current.blocks.push(block);
+            continue;
+        }
+        
+        if (current.blocks.length > 0) sections.push(current);
+        
+        const level = heading[1].length;
+        while (stack.length > 0 && stack[stack.length - 1].level >= level) stack.pop();
+        stack.push({ level, text: heading[2], anchor: heading[3] || null });
+        
+        const anchored = [...stack].reverse().find(entry => entry.anchor);
+        current = {
+            headingPath: stack.map(entry => entry.text),
+            anchor: anchored ? anchored.anchor : null,
+            blocks: []
+        };
+    }
+    if (current.blocks.length > 0) sections.push(current);
+    
+    return sections;
+}
+
+// Chunk markdown along its structure. Sections (split at headings) are never mixed; inside a section,
+// whole blocks are packed up to maxTokens, long blocks are split at sentences or lines, and up to
+// overlapTokens of trailing blocks are repeated at the start of the next chunk.
+// Returns [{ text, headingPath, anchor }]; text opens with the heading path so each chunk stands alone.
+function chunkMarkdown(markdown, maxTokens = ragChunkTokens, overlapTokens = ragChunkOverlapTokens) {
+    const chunks = [];
+    
+    for (const section of splitMarkdownSections(markdown)) {
+        const context = section.headingPath.join(' > ');
+        const budget = Math.max(1, maxTokens - (context ? estimateTokens(context) : 0));
+        const blocks = section.blocks
+            .flatMap(block => estimateTokens(block) > budget ? splitLongBlock(block, budget, overlapTokens) : [block])
+            .map(block => ({ text: block, tokens: estimateTokens(block) }));
+        
+        const emit = (current) => chunks.push({
+            text: [context, ...current.map(b => b.text)].filter(Boolean).join('\n\n'),
+            headingPath: section.headingPath,
+            anchor: section.anchor
+        });
+        
+        let current = [];
+        let tokens = 0;
+        for (const block of blocks) {
+            if (tokens + block.tokens > budget && current.length > 0) {
+                emit(current);
+                
+                // Carry whole trailing blocks into the next chunk for context
+                const carried = [];
+                let carriedTokens = 0;
+                for (let i = current.length - 1; i >= 0; i--) {
+                    if (carriedTokens + current[i].tokens > overlapTokens) break;
+                    carried.unshift(current[i]);
+                    carriedTokens += current[i].tokens;
+                }
+                if (carriedTokens + block.tokens > budget) {
+                    carried.length = 0;
+                    carriedTokens = 0;
+                }
+                current = carried;
+                tokens = carriedTokens;
+            }
+            current.push(block);
+            tokens += block.tokens;
+        }
+        if (current.length > 0) emit(current);
+    }
+    
+    return chunks;
+}
+
+// Dot product - equal to cosine similarity for unit-length vectors
+function dotProduct(a, b) {
+    let sum = 0;
+    for (let i = 0; i < a.length; i++) {
+        sum += a[i] * b[i];
+    }
+    return sum;
+}
+
 // Calculate cosine similarity
 function cosineSimilarity(a, b) {
-    const dotProduct = a.reduce((sum, val, i) => sum + val * b[i], 0);
-    const magnitudeA = Math.sqrt(a.reduce((sum, val) => sum + val * val, 0));
-    const magnitudeB = Math.sqrt(b.reduce((sum, val) => sum + val * val, 0));
-    return dotProduct / (magnitudeA * magnitudeB);
+    const magnitudeA = Math.sqrt(dotProduct(a, a));
+    const magnitudeB = Math.sqrt(dotProduct(b, b));
+    return dotProduct(a, b) / (magnitudeA * magnitudeB);
+}
+
+// Convert an embedding to a unit-length Float32Array so similarity is a single dot product
+function normalizeVector(vector) {
+    const result = Float32Array.from(vector);
+    const magnitude = Math.sqrt(dotProduct(result, result));
+    if (magnitude > 0) {
+        for (let i = 0; i < result.length; i++) {
+            result[i] /= magnitude;
+        }
+    }
+    return result;
+}
+
+// Common English words that carry no retrieval signal
+const STOPWORDS = new Set([
+    'a', 'about', 'above', 'after', 'again', 'against', 'all', 'am', 'an', 'and', 'any', 'are', 'as', 'at',
+    'be', 'because', 'been', 'before', 'being', 'below', 'between', 'both', 'but', 'by',
+    'can', 'could', 'did', 'do', 'does', 'doing', 'down', 'during', 'each', 'few', 'for', 'from', 'further',
+    'had', 'has', 'have', 'having', 'he', 'her', 'here', 'hers', 'herself', 'him', 'himself', 'his', 'how',
+    'i', 'if', 'in', 'into', 'is', 'it', 'its', 'itself', 'just', 'me', 'more', 'most', 'my', 'myself',
+    'no', 'nor', 'not', 'now', 'of', 'off', 'on', 'once', 'only', 'or', 'other', 'our', 'ours', 'ourselves', 'out', 'over', 'own',
+    'same', 'she', 'should', 'so', 'some', 'such', 'than', 'that', 'the', 'their', 'theirs', 'them', 'themselves', 'then',
+    'there', 'these', 'they', 'this', 'those', 'through', 'to', 'too', 'under', 'until', 'up', 'very',
+    'was', 'we', 'were', 'what', 'when', 'where', 'which', 'while', 'who', 'whom', 'why', 'will', 'with', 'would',
+    'you', 'your', 'yours', 'yourself', 'yourselves'
+]);
+
+// Light suffix-stripping stemmer so "grooming", "groomed" and "grooms" share a term
+function stemToken(token) {
+    if (token.length <= 3 || /\d/.test(token)) return token;
+    
+    const undouble = (stem) => /([^aeiouls])\1$/.test(stem) ? stem.slice(0, -1) : stem;
+    
+    if (token.endsWith('ies') && token.length > 4) return token.slice(0, -3) + 'y';
+    if (token.endsWith('sses')) return token.slice(0, -2);
+    if (token.endsWith('ing') && token.length > 5) return undouble(token.slice(0, -3));
+    if (token.endsWith('ed') && token.length > 4) return undouble(token.slice(0, -2));
+    if (token.endsWith('ly') && token.length > 4) return token.slice(0, -2);
+    if (/(ch|sh|x|z)es$/.test(token)) return token.slice(0, -2);
+    if (token.endsWith('s') && !/(ss|us|is)$/.test(token)) return token.slice(0, -1);
+    
+    return token;
+}
+
+// Lowercase, split on non-alphanumerics, drop stopwords and stem
+function tokenize(text) {
+    if (!text) return [];
+    
+    return text
+        .toLowerCase()
+        .split(/[^\p{L}\p{N}]+/u)
+        .filter(token => token.length > 1 && !STOPWORDS.has(token))
+        .map(stemToken);
+}
+
+function escapeHtml(text) {
+    return text
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// Pick the window of a chunk with the most query-term matches and wrap the matches in <mark>.
+// The snippet is HTML-escaped so it can be rendered directly.
+function highlightSnippet(text, query, maxWords = 40) {
+    const queryTerms = new Set(tokenize(query));
+    const words = text.split(/\s+/).filter(Boolean);
+    const isMatch = words.map(word => tokenize(word).some(term => queryTerms.has(term)));
+    
+    let bestStart = 0;
+    let bestMatches = -1;
+    let matches = 0;
+    
+    for (let i = 0; i < words.length; i++) {
+        if (isMatch[i]) matches++;
+        if (i >= maxWords && isMatch[i - maxWords]) matches--;
+        
+        const start = Math.max(0, i - maxWords + 1);
+        if (i >= Math.min(maxWords, words.length) - 1 && matches > bestMatches) {
+            bestMatches = matches;
+            bestStart = start;
+        }
+    }
+    
+    const end = Math.min(words.length, bestStart + maxWords);
+    const snippet = words
+        .slice(bestStart, end)
+        .map((word, i) => isMatch[bestStart + i] ? `<mark>${escapeHtml(word)}</mark>` : escapeHtml(word))
+        .join(' ');
+    
+    return `${bestStart > 0 ? '… ' : ''}${snippet}${end < words.length ? ' …' : ''}`;
 }
 
 module.exports = {
     chunkText,
-    cosineSimilarity
+    chunkMarkdown,
+    estimateTokens,
+    dotProduct,
+    cosineSimilarity,
+    normalizeVector,
+    tokenize,
+    stemToken,
+    highlightSnippet,
+    escapeHtml,
+    STOPWORDS
 };
\ No newline at end of file
@@ -0,0 +1,38 @@
+const { getEncoding } = require('js-tiktoken');
+
+// Chat models wrap every message in role markers, costing a few tokens beyond its content,
+// and the reply itself is primed with a few more
+const TOKENS_PER_MESSAGE = 3;
+const REPLY_PRIMING_TOKENS = 3;
+
+// Building an encoder parses its whole vocabulary, so each one is built on first use and kept
+const encoders = new Map();
+
+function getEncoder(encoding) {
+    if (!encoders.has(encoding)) {
+        encoders.set(encoding, getEncoding(encoding));
+    }
+    return encoders.get(encoding);
+}
+
+// Special-token text such as <|endoftext|> can turn up in crawled pages - it is counted as ordinary text
+function encode(text, encoding) {
+    return getEncoder(encoding).encode(text, [], []);
+}
+
+function countTokens(text, encoding = 'cl100k_base') {
+    return text ? encode(text, encoding).length : 0;
+}
+
+// Tokens a list of chat messages takes up in the prompt, including the priming for the reply
+function countMessageTokens(messages, encoding = 'cl100k_base') {
+    return messages.reduce(
+        (sum, message) => sum + TOKENS_PER_MESSAGE + countTokens(message.role, encoding) + countTokens(message.content, encoding),
+        REPLY_PRIMING_TOKENS
+    );
+}
+
+module.exports = {
+    countTokens,
+    countMessageTokens
+};
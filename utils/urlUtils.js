@@ -27,4 +27,25 @@ function detectBaseUrl() {
     }
 }
 
-module.exports = { detectBaseUrl };
\ No newline at end of file
+// Query parameters that only track where a visitor came from - they never change the page
+const TRACKING_PARAMS = ['gclid', 'dclid', 'fbclid', 'msclkid', 'yclid', 'igshid', 'mc_cid', 'mc_eid', '_ga', '_gl'];
+
+// Canonical form of a crawlable URL, so /page, /page/, /page#section and /page?utm_source=x are one page:
+// drops the fragment, tracking parameters and a trailing slash, and sorts the query string.
+function normalizeUrl(url) {
+    const urlObj = new URL(url);
+    urlObj.hash = '';
+    
+    const params = [...urlObj.searchParams]
+        .filter(([name]) => !name.toLowerCase().startsWith('utm_') && !TRACKING_PARAMS.includes(name.toLowerCase()))
+        .sort(([a, aValue], [b, bValue]) => a.localeCompare(b) || aValue.localeCompare(bValue));
+    urlObj.search = new URLSearchParams(params).toString();
+    
+    if (urlObj.pathname.length > 1 && urlObj.pathname.endsWith('/')) {
+        urlObj.pathname = urlObj.pathname.replace(/\/+$/, '') || '/';
+    }
+    
+    return urlObj.href;
+}
+
+module.exports = { detectBaseUrl, normalizeUrl };